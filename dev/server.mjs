@@ -0,0 +1,210 @@
+/* ========================================
+   LOCAL DEVELOPMENT SERVER
+   Serves the site and mocks its endpoints
+======================================== */
+
+// Usage: node dev/server.mjs [directory]
+//   directory                 folder to serve, relative to the repository (default: the repository, "dist" for the build)
+//   PORT=8080                 port to listen on
+//   MOCK_CONTACT_STATUS=500   make the contact endpoint fail with this status
+//   MOCK_GITHUB_STATUS=403    make the GitHub repositories endpoint fail with this status (403 and 429 are rate limits)
+//   MOCK_LATENCY=800          delay every mocked response by this many ms
+//
+// GET /api/github/users/<owner>/repos answers like the GitHub API, from dev/fixtures/github-repos.json:
+// point the open source cards at it with data-github-api="/api/github" in index.html.
+// POST /api/errors collects the batches js/errors.js sends, and GET /api/errors lists them.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const REPO_ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const ROOT = resolve(REPO_ROOT, process.argv[2] || '.');
+const PORT = Number(process.env.PORT) || 8080;
+const MOCK_LATENCY = Number(process.env.MOCK_LATENCY) || 0;
+const GITHUB_FIXTURE = join(REPO_ROOT, 'dev/fixtures/github-repos.json');
+
+// Error report batches received since the server started, newest last
+const errorBatches = [];
+const MAX_ERROR_BATCHES = 100;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.ico': 'image/x-icon'
+};
+
+// Mocked API routes, keyed by "METHOD /path"; ":name" matches one path segment
+const routes = {
+    'POST /api/contact': async (req, res) => {
+        const body = await readBody(req);
+        const status = Number(process.env.MOCK_CONTACT_STATUS) || 200;
+
+        console.log(`📨 Contact form submission (${status}):`, body);
+        sendJson(res, status, status < 400 ? { ok: true } : { ok: false, error: 'Mock failure' });
+    },
+
+    'GET /api/github/users/:owner/repos': async (req, res, params) => {
+        const status = Number(process.env.MOCK_GITHUB_STATUS) || 200;
+        const resetAt = Math.ceil(Date.now() / 1000) + 3600;
+
+        if (status >= 400) {
+            console.log(`🐙 GitHub repositories for ${params.owner} (${status})`);
+            res.writeHead(status, {
+                'Content-Type': MIME_TYPES['.json'],
+                'X-RateLimit-Remaining': status === 403 || status === 429 ? '0' : '60',
+                'X-RateLimit-Reset': String(resetAt)
+            });
+            res.end(JSON.stringify({ message: 'API rate limit exceeded (mock)' }));
+            return;
+        }
+
+        const body = await readFile(GITHUB_FIXTURE);
+        const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+        const notModified = req.headers['if-none-match'] === etag;
+
+        console.log(`🐙 GitHub repositories for ${params.owner} (${notModified ? 304 : 200})`);
+        res.writeHead(notModified ? 304 : 200, {
+            'Content-Type': MIME_TYPES['.json'],
+            'Cache-Control': 'no-cache',
+            ETag: etag,
+            'X-RateLimit-Remaining': '59',
+            'X-RateLimit-Reset': String(resetAt)
+        });
+        res.end(notModified ? undefined : body);
+    },
+
+    'POST /api/errors': async (req, res) => {
+        const batch = await readBody(req);
+        const reports = Array.isArray(batch.reports) ? batch.reports : [];
+
+        reports.forEach(report => {
+            const count = report.count > 1 ? ` ×${report.count}` : '';
+            console.log(`🐞 ${report.kind || 'error'} ${report.fingerprint}${count}: ${report.context ? `${report.context}: ` : ''}${report.message}`);
+        });
+        if (batch.dropped) {
+            console.log(`🐞 ${batch.dropped} more dropped by the rate limit`);
+        }
+
+        errorBatches.push({ ...batch, receivedAt: Date.now() });
+        errorBatches.splice(0, Math.max(0, errorBatches.length - MAX_ERROR_BATCHES));
+        res.writeHead(204);
+        res.end();
+    },
+
+    'GET /api/errors': async (req, res) => {
+        sendJson(res, 200, { batches: errorBatches });
+    }
+};
+
+function findRoute(method, pathname) {
+    const segments = pathname.split('/');
+
+    for (const [key, handler] of Object.entries(routes)) {
+        const [routeMethod, routePath] = key.split(' ');
+        const routeSegments = routePath.split('/');
+        if (routeMethod !== method || routeSegments.length !== segments.length) continue;
+
+        const params = {};
+        const matches = routeSegments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = decodeURIComponent(segments[index]);
+                return Boolean(segments[index]);
+            }
+            return segment === segments[index];
+        });
+        if (matches) return { handler, params };
+    }
+    return null;
+}
+
+function readBody(req) {
+    return new Promise((resolveBody, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolveBody(body ? JSON.parse(body) : {});
+            } catch (error) {
+                resolveBody(body);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(payload));
+}
+
+async function serveStatic(pathname, res) {
+    const filePath = normalize(join(ROOT, decodeURIComponent(pathname)));
+
+    // Never serve anything outside the served folder
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    try {
+        const info = await stat(filePath);
+        const target = info.isDirectory() ? join(filePath, 'index.html') : filePath;
+        const data = await readFile(target);
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[extname(target).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    } catch (error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+    }
+}
+
+const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    try {
+        const route = findRoute(req.method, pathname);
+        if (route) {
+            if (MOCK_LATENCY) {
+                await new Promise(done => setTimeout(done, MOCK_LATENCY));
+            }
+            await route.handler(req, res, route.params);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405);
+            res.end('Method not allowed');
+            return;
+        }
+
+        await serveStatic(pathname, res);
+    } catch (error) {
+        console.error("❌ Request failed:", error);
+        res.writeHead(500);
+        res.end('Internal server error');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ Portfolio running at http://localhost:${PORT}`);
+});
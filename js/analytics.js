@@ -0,0 +1,305 @@
+/* ========================================
+   ANALYTICS
+   Consent, Providers & Event Queue
+======================================== */
+
+import { config } from './config.js';
+import { on } from './core.js';
+
+// Analytics Configuration - analytics in config.js lists the providers to send events to
+const ANALYTICS_CONFIG = config.analytics;
+
+const CONSENT_STORAGE_KEY = 'analytics-consent';
+
+const Analytics = {
+    adapters: [],
+    queue: [],
+    consent: 'pending',
+    isBlockedByBrowser: false
+};
+
+// Analytics Adapters - each one knows how to load a provider and send it events
+const AnalyticsAdapters = {
+    ga4: (config) => {
+        if (!config.measurementId) {
+            console.warn("GA4 adapter skipped: no measurementId configured");
+            return null;
+        }
+
+        return {
+            load() {
+                window.dataLayer = window.dataLayer || [];
+                window.gtag = window.gtag || function gtag() {
+                    window.dataLayer.push(arguments);
+                };
+                window.gtag('js', new Date());
+                window.gtag('config', config.measurementId, { send_page_view: false });
+                loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(config.measurementId)}`);
+            },
+            pageview(page) {
+                window.gtag('event', 'page_view', page);
+            },
+            track(eventName, parameters, options) {
+                window.gtag('event', eventName, options.beacon
+                    ? { ...parameters, transport_type: 'beacon' }
+                    : parameters);
+            }
+        };
+    },
+
+    plausible: (config) => ({
+        load() {
+            window.plausible = window.plausible || function plausible() {
+                (window.plausible.q = window.plausible.q || []).push(arguments);
+            };
+            loadScript(config.scriptUrl, { 'data-domain': config.domain });
+        },
+        pageview(page) {
+            window.plausible('pageview', { u: page.page_location });
+        },
+        track(eventName, parameters) {
+            window.plausible(eventName, { props: parameters });
+        }
+    }),
+
+    beacon: (config) => {
+        const send = (payload) => {
+            const body = JSON.stringify(payload);
+            if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+            fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        };
+
+        return {
+            load() {},
+            pageview(page) {
+                send({ event: 'page_view', params: page, timestamp: Date.now() });
+            },
+            track(eventName, parameters) {
+                send({ event: eventName, params: parameters, page: window.location.pathname, timestamp: Date.now() });
+            }
+        };
+    },
+
+    console: () => ({
+        load() {
+            console.info("📊 Analytics console adapter active");
+        },
+        pageview(page) {
+            console.debug("📊 page_view", page);
+        },
+        track(eventName, parameters) {
+            console.debug(`📊 ${eventName}`, parameters);
+        }
+    })
+};
+
+function loadScript(src, attributes = {}) {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    Object.entries(attributes).forEach(([name, value]) => script.setAttribute(name, value));
+    document.head.appendChild(script);
+}
+
+// Do Not Track and Global Privacy Control both count as a standing "no"
+function hasPrivacySignal() {
+    return navigator.globalPrivacyControl === true
+        || navigator.doNotTrack === '1'
+        || window.doNotTrack === '1';
+}
+
+export default {
+    name: 'analytics',
+    init: setupAnalytics
+};
+
+// Analytics Integration
+function setupAnalytics() {
+    try {
+        if (!ANALYTICS_CONFIG.providers.length) return;
+
+        Analytics.isBlockedByBrowser = hasPrivacySignal();
+        if (Analytics.isBlockedByBrowser) {
+            console.info("Analytics disabled: Do Not Track or Global Privacy Control is on");
+            return;
+        }
+
+        setupConsentBanner();
+
+        // Events from the other plugins, such as engagement tracking
+        on('track', ({ name, parameters, options }) => {
+            if (name) {
+                trackEvent(name, parameters, options);
+            }
+        });
+
+        // Track page views
+        trackPageview();
+
+        // Track interactions; closest() also catches clicks on icons inside links
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.btn');
+            const projectLink = e.target.closest('.project-link');
+            const navLink = e.target.closest('a[href^="#"]');
+            
+            // Track button clicks
+            if (button) {
+                trackEvent('button_click', {
+                    button_text: button.textContent.trim(),
+                    button_location: button.closest('section')?.id || 'unknown'
+                });
+            }
+
+            // Track project live/source links
+            if (projectLink) {
+                trackEvent('project_link_click', {
+                    link_label: projectLink.getAttribute('aria-label') || projectLink.href,
+                    link_url: projectLink.href
+                });
+            }
+            
+            // Track navigation clicks
+            if (navLink) {
+                trackEvent('navigation_click', {
+                    target_section: navLink.getAttribute('href').substring(1)
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error("Analytics setup failed:", error);
+    }
+}
+
+// Consent Banner - nothing is sent until the visitor opts in
+function setupConsentBanner() {
+    const banner = document.getElementById('consent-banner');
+    const settingsBtn = document.querySelector('[data-consent-settings]');
+    let storedConsent = null;
+
+    try {
+        storedConsent = localStorage.getItem(CONSENT_STORAGE_KEY);
+    } catch (error) {
+        console.warn("Consent preference unavailable:", error);
+    }
+
+    if (banner) {
+        banner.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', () => {
+                setConsent(button.dataset.consent);
+                banner.hidden = true;
+                if (settingsBtn) settingsBtn.focus();
+            });
+        });
+    }
+
+    if (settingsBtn) {
+        settingsBtn.hidden = false;
+        settingsBtn.addEventListener('click', () => {
+            if (!banner) return;
+            banner.hidden = false;
+            const firstButton = banner.querySelector('[data-consent]');
+            if (firstButton) firstButton.focus();
+        });
+    }
+
+    if (storedConsent === 'granted' || storedConsent === 'denied') {
+        setConsent(storedConsent, { persist: false });
+    } else if (banner) {
+        banner.hidden = false;
+    }
+}
+
+function setConsent(consent, options = {}) {
+    Analytics.consent = consent === 'granted' ? 'granted' : 'denied';
+
+    if (options.persist !== false) {
+        try {
+            localStorage.setItem(CONSENT_STORAGE_KEY, Analytics.consent);
+        } catch (error) {
+            console.warn("Consent preference could not be saved:", error);
+        }
+    }
+
+    if (Analytics.consent === 'granted') {
+        loadAnalyticsAdapters();
+        const queued = Analytics.queue.splice(0);
+        queued.forEach(item => dispatchToAdapters(item));
+    } else {
+        Analytics.queue = [];
+        Analytics.adapters = [];
+    }
+}
+
+function loadAnalyticsAdapters() {
+    if (Analytics.adapters.length) return;
+
+    Analytics.adapters = ANALYTICS_CONFIG.providers
+        .map(name => {
+            const createAdapter = AnalyticsAdapters[name];
+            if (!createAdapter) {
+                console.warn(`Unknown analytics provider "${name}"`);
+                return null;
+            }
+            return createAdapter(ANALYTICS_CONFIG[name] || {});
+        })
+        .filter(Boolean);
+
+    Analytics.adapters.forEach(adapter => {
+        try {
+            adapter.load();
+        } catch (error) {
+            console.error("Analytics adapter failed to load:", error);
+        }
+    });
+}
+
+function dispatchToAdapters(item) {
+    Analytics.adapters.forEach(adapter => {
+        try {
+            if (item.type === 'pageview') {
+                adapter.pageview(item.parameters);
+            } else {
+                adapter.track(item.name, item.parameters, item.options);
+            }
+        } catch (error) {
+            console.error("Analytics adapter failed to send:", error);
+        }
+    });
+}
+
+// Send now with consent, queue in memory while undecided, drop otherwise
+function enqueueAnalytics(item) {
+    if (!ANALYTICS_CONFIG.providers.length || Analytics.isBlockedByBrowser) return;
+
+    if (Analytics.consent === 'granted') {
+        dispatchToAdapters(item);
+    } else if (Analytics.consent === 'pending' && Analytics.queue.length < ANALYTICS_CONFIG.queueLimit) {
+        Analytics.queue.push(item);
+    }
+}
+
+function trackPageview() {
+    enqueueAnalytics({
+        type: 'pageview',
+        parameters: {
+            page_title: document.title,
+            page_location: window.location.href
+        }
+    });
+}
+
+function trackEvent(eventName, parameters = {}, options = {}) {
+    try {
+        enqueueAnalytics({ type: 'event', name: eventName, parameters, options });
+    } catch (error) {
+        console.error("Event tracking failed:", error);
+    }
+}
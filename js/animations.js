@@ -0,0 +1,153 @@
+/* ========================================
+   ANIMATIONS
+   Declarative Scroll Reveals & Parallax
+======================================== */
+
+import { config } from './config.js';
+import { App, DOM, on } from './core.js';
+
+// Any element can animate in as it scrolls into view:
+//   data-animate="fade-up|scale|slide-left"  the entrance
+//   data-delay="200"                         milliseconds before it starts
+//   data-stagger="80"                        animate the children instead, each this much after the previous
+//   data-animate-replay                      animate again every time it comes back into view
+// and data-parallax="0.2" moves an element at a fraction of the scroll speed.
+// The styles only hide elements waiting to animate under .has-animations and
+// data-motion="full", so without this plugin or with reduced motion all is visible.
+const ANIMATION_TYPES = ['fade-up', 'scale', 'slide-left'];
+
+export default {
+    name: 'animations',
+    init() {
+        setupScrollReveals();
+        setupParallax();
+    }
+};
+
+// Scroll Reveals - elements rendered later (projects, tech tags) are picked up as they are added
+function setupScrollReveals() {
+    if (!('IntersectionObserver' in window)) {
+        console.warn("IntersectionObserver not supported, skipping scroll reveals");
+        return;
+    }
+
+    try {
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const element = entry.target;
+
+                if (entry.isIntersecting) {
+                    revealElement(element);
+                    if (!element.hasAttribute('data-animate-replay')) observer.unobserve(element);
+                } else if (element.hasAttribute('data-animate-replay')) {
+                    element.classList.remove('is-animated');
+                }
+            });
+        }, {
+            rootMargin: config.animations.rootMargin,
+            threshold: config.animations.threshold
+        });
+
+        const observeWithin = root => {
+            if (root.matches('[data-animate]')) observeElement(root, observer);
+            root.querySelectorAll('[data-animate]').forEach(element => observeElement(element, observer));
+        };
+
+        observeWithin(document.body);
+
+        new MutationObserver(records => {
+            records.forEach(record => {
+                record.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) observeWithin(node);
+                });
+            });
+        }).observe(document.body, { childList: true, subtree: true });
+
+        DOM.html.classList.add('has-animations');
+
+    } catch (error) {
+        console.error("Scroll reveals setup failed:", error);
+    }
+}
+
+function observeElement(element, observer) {
+    if (!ANIMATION_TYPES.includes(element.dataset.animate)) {
+        console.warn(`Unknown data-animate "${element.dataset.animate}", showing the element as is`);
+        element.classList.add('is-animated');
+        return;
+    }
+    observer.observe(element);
+}
+
+// Delays are set when the element is revealed, so children added since are counted
+function revealElement(element) {
+    const delay = readMilliseconds(element.dataset.delay);
+
+    if (element.hasAttribute('data-stagger')) {
+        const stagger = readMilliseconds(element.dataset.stagger);
+        Array.from(element.children).forEach((child, index) => {
+            child.style.setProperty('--animate-delay', `${delay + index * stagger}ms`);
+        });
+    } else {
+        element.style.setProperty('--animate-delay', `${delay}ms`);
+    }
+
+    element.classList.add('is-animated');
+}
+
+function readMilliseconds(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+// Parallax - runs on the shared scroll event, only while the element's section is on screen
+function setupParallax() {
+    const elements = Array.from(document.querySelectorAll('[data-parallax]'));
+    if (!elements.length) return;
+
+    try {
+        const onScreen = new Set(elements);
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    // A section can hold several parallax elements
+                    elements
+                        .filter(item => getParallaxContainer(item) === entry.target)
+                        .forEach(element => {
+                            if (entry.isIntersecting) {
+                                onScreen.add(element);
+                            } else {
+                                onScreen.delete(element);
+                            }
+                        });
+                });
+            });
+            new Set(elements.map(getParallaxContainer)).forEach(container => observer.observe(container));
+        }
+
+        const update = () => {
+            elements.forEach(element => {
+                if (App.isReducedMotion) {
+                    element.style.removeProperty('translate');
+                } else if (onScreen.has(element)) {
+                    const factor = parseFloat(element.dataset.parallax) || config.animations.parallaxFactor;
+                    const offset = -getParallaxContainer(element).getBoundingClientRect().top * factor;
+                    element.style.translate = `0 ${Math.round(offset)}px`;
+                }
+            });
+        };
+
+        on('scroll', update);
+        on('motion:change', update);
+        update();
+
+    } catch (error) {
+        console.error("Parallax setup failed:", error);
+    }
+}
+
+// The section an element moves within; it clips the element at its edges
+function getParallaxContainer(element) {
+    return element.closest('section') || element.parentElement;
+}
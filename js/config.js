@@ -0,0 +1,218 @@
+/* ========================================
+   CONFIGURATION
+   Settings, Feature Flags & Overrides
+======================================== */
+
+// Every setting has a default here. A deployment changes them without touching
+// the scripts, in a JSON block in index.html:
+//   <script type="application/json" id="portfolio-config">
+//   { "features": { "palette": false }, "analytics": { "providers": ["plausible"] } }
+//   </script>
+// and features can be switched for one visit with ?flags=-analytics,+palette.
+// Values are checked against CONFIG_SCHEMA; a wrong one is reported and the default kept.
+
+const CONFIG_ELEMENT_ID = 'portfolio-config';
+const FLAGS_PARAM = 'flags';
+
+const isLocalhost = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+
+// Feature Flags - one per plugin, by plugin name; core skips a plugin whose flag is off.
+// Plugins other plugins build on (i18n, dialogs) leave those with their defaults when off.
+export const FEATURES = [
+    'theme',
+    'motion',
+    'i18n',
+    'menu',
+    'images',
+    'projects',
+    'resume',
+    'github',
+    'writing',
+    'dialogs',
+    'project-dialog',
+    'palette',
+    'engagement',
+    'performance',
+    'scroll',
+    'animations',
+    'keyboard',
+    'service-worker',
+    'forms',
+    'analytics',
+    'error-reporting'
+];
+
+// A setting is { type, default } with type 'boolean', 'number', 'string' or 'list'
+// (of strings, limited to `values` when given); anything else is a group of settings
+export const CONFIG_SCHEMA = {
+    features: Object.fromEntries(FEATURES.map(name => [name, { type: 'boolean', default: true }])),
+
+    // Analytics - the providers to send events to.
+    // Available: 'ga4', 'plausible', 'beacon' and 'console' (logs events, for development)
+    analytics: {
+        providers: { type: 'list', values: ['ga4', 'plausible', 'beacon', 'console'], default: isLocalhost ? ['console'] : [] },
+        ga4: {
+            measurementId: { type: 'string', default: '' }
+        },
+        plausible: {
+            domain: { type: 'string', default: window.location.hostname },
+            scriptUrl: { type: 'string', default: 'https://plausible.io/js/script.manual.js' }
+        },
+        beacon: {
+            endpoint: { type: 'string', default: '/api/collect' }
+        },
+        queueLimit: { type: 'number', default: 50 }
+    },
+
+    // Error Reporting - an empty endpoint turns reporting off.
+    // dev/server.mjs collects reports at /api/errors and logs them.
+    errorReporting: {
+        endpoint: { type: 'string', default: isLocalhost ? '/api/errors' : '' },
+        maxBreadcrumbs: { type: 'number', default: 20 },
+        // New reports per minute; repeats of a queued report only raise its count
+        maxReportsPerMinute: { type: 'number', default: 10 },
+        // Reports per fingerprint per page view, counting the ones already sent
+        maxReportsPerFingerprint: { type: 'number', default: 5 },
+        flushDelayMs: { type: 'number', default: 5000 },
+        maxStackLength: { type: 'number', default: 2000 }
+    },
+
+    // GitHub - data-github-user and data-github-api on the [data-github] block override
+    // the owner and API, so the dev server and the tests can point the cards at a mock
+    github: {
+        // Empty: the GitHub profile in data/resume.json
+        owner: { type: 'string', default: '' },
+        baseUrl: { type: 'string', default: 'https://api.github.com' },
+        limit: { type: 'number', default: 6 },
+        cacheTtlMs: { type: 'number', default: 60 * 60 * 1000 },
+        // Written by scripts/github.mjs; shown when neither the API nor the cache can answer
+        snapshotUrl: { type: 'string', default: 'data/github-repos.json' }
+    },
+
+    performance: {
+        // Images whose loading is timed: the ones preloadCriticalResources and setupLazyImages act on first
+        watchedImages: { type: 'string', default: '#hero img, #about img' },
+        // Interactions slower than this are the only ones the browser reports
+        eventDurationThreshold: { type: 'number', default: 40 }
+    },
+
+    scroll: {
+        // Used when the --nav-height custom property can't be read
+        navHeightFallback: { type: 'number', default: 48 },
+        // Sections are revealed once they are this far into the viewport
+        revealRootMargin: { type: 'string', default: '0px 0px -50px 0px' },
+        revealThreshold: { type: 'number', default: 0.1 }
+    },
+
+    // data-animate reveals and data-parallax; see js/animations.js
+    animations: {
+        rootMargin: { type: 'string', default: '0px 0px -10% 0px' },
+        threshold: { type: 'number', default: 0 },
+        // Used when data-parallax has no value: the fraction of the scroll speed an element moves at
+        parallaxFactor: { type: 'number', default: 0.2 }
+    },
+
+    serviceWorker: {
+        url: { type: 'string', default: 'sw.js' }
+    }
+};
+
+export const config = loadConfig();
+
+// Whether a plugin or feature may start; names the schema doesn't list are always on
+export function isFeatureEnabled(name) {
+    return config.features[name] !== false;
+}
+
+function loadConfig() {
+    const result = applyConfig(CONFIG_SCHEMA, readConfigElement(), '');
+    applyFlags(result.features, new URLSearchParams(window.location.search).get(FLAGS_PARAM));
+    return result;
+}
+
+function readConfigElement() {
+    const element = document.getElementById(CONFIG_ELEMENT_ID);
+    if (!element || !element.textContent.trim()) return {};
+
+    try {
+        return JSON.parse(element.textContent);
+    } catch (error) {
+        console.warn(`#${CONFIG_ELEMENT_ID} is not valid JSON, using the defaults:`, error);
+        return {};
+    }
+}
+
+function isSetting(schema) {
+    return typeof schema.type === 'string' && 'default' in schema;
+}
+
+// Defaults, overridden by every valid value in `overrides`
+function applyConfig(schema, overrides, path) {
+    const result = {};
+    const values = overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+
+    if (overrides !== undefined && values !== overrides) {
+        console.warn(`Config "${path}" should be an object, using the defaults`);
+    }
+    Object.keys(values)
+        .filter(key => !(key in schema))
+        .forEach(key => console.warn(`Unknown config "${path}${key}" ignored`));
+
+    Object.entries(schema).forEach(([key, entry]) => {
+        const entryPath = `${path}${key}`;
+
+        if (!isSetting(entry)) {
+            result[key] = applyConfig(entry, values[key], `${entryPath}.`);
+        } else if (values[key] === undefined) {
+            result[key] = cloneDefault(entry.default);
+        } else if (isValid(entry, values[key])) {
+            result[key] = cloneDefault(values[key]);
+        } else {
+            console.warn(`Config "${entryPath}" should be a ${describeSetting(entry)}, using the default`);
+            result[key] = cloneDefault(entry.default);
+        }
+    });
+    return result;
+}
+
+function isValid(setting, value) {
+    switch (setting.type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'string':
+            return typeof value === 'string';
+        case 'list':
+            return Array.isArray(value) && value.every(item => typeof item === 'string'
+                && (!setting.values || setting.values.includes(item)));
+        default:
+            return false;
+    }
+}
+
+function describeSetting(setting) {
+    return setting.type === 'list' && setting.values
+        ? `list of ${setting.values.map(value => `"${value}"`).join(', ')}`
+        : setting.type;
+}
+
+function cloneDefault(value) {
+    return Array.isArray(value) ? value.slice() : value;
+}
+
+// ?flags=-analytics,+palette - "-" turns a feature off, "+" (or nothing) turns it on
+function applyFlags(features, flags) {
+    if (!flags) return;
+
+    flags.split(',').map(flag => flag.trim()).filter(Boolean).forEach(flag => {
+        const enabled = !flag.startsWith('-');
+        const name = flag.replace(/^[+-]/, '');
+
+        if (name in features) {
+            features[name] = enabled;
+        } else {
+            console.warn(`Unknown feature flag "${name}" ignored`);
+        }
+    });
+}
@@ -0,0 +1,262 @@
+/* ========================================
+   PORTFOLIO CORE
+   State, Lifecycle Events & Plugins
+======================================== */
+
+// Every feature is a plugin registered with use(): an object with a name and an
+// init(portfolio) method, or a plain function. Plugins run in the order they were
+// registered once the DOM is ready, and talk to each other through on() and emit().
+// When a plugin's feature flag is off, its optional fallback(portfolio) runs instead.
+
+import { isFeatureEnabled } from './config.js';
+import { setupBasicFallbacks } from './fallbacks.js';
+
+// App State Management
+export const App = {
+    elements: {},
+    isMobileMenuOpen: false,
+    isInitialized: false,
+    currentTheme: 'light',
+    themeMode: 'system',
+    accentColor: '',
+    locale: 'en',
+    i18nReady: Promise.resolve(),
+    scrollY: 0,
+    currentSection: null,
+    isReducedMotion: false,
+    motionPreference: 'system',
+    projects: [],
+    projectsReady: Promise.resolve([]),
+    images: {},
+    imagesReady: Promise.resolve({}),
+    resume: null,
+    resumeReady: Promise.resolve(),
+    repositories: null,
+    githubReady: Promise.resolve(),
+    posts: [],
+    postsReady: Promise.resolve([]),
+    currentPost: null,
+    lockedScrollY: 0,
+    dialogs: [],
+    serviceWorker: {
+        status: 'idle',
+        isReloading: false
+    },
+    projectDialog: {
+        projectId: null,
+        opener: null,
+        openedFromHistory: false,
+        slideIndex: 0
+    },
+    projectBrowser: {
+        isOpen: false,
+        tags: new Set(),
+        query: '',
+        sort: 'newest'
+    }
+};
+
+// Performance optimization - Cache DOM queries
+export const DOM = {
+    body: document.body,
+    html: document.documentElement,
+    themeToggle: null,
+    themeSettingsBtn: null,
+    themeMenu: null,
+    localeSwitchers: [],
+    commandPalette: null,
+    commandInput: null,
+    commandList: null,
+    hamburgerBtn: null,
+    mobileMenu: null,
+    mobileNavLinks: [],
+    projectGrid: null,
+    projectBrowser: null,
+    projectBrowserToggle: null,
+    projectFilters: null,
+    projectResultsCount: null,
+    projectDialog: null,
+    sections: [],
+    spySections: [],
+    spyLinks: [],
+    navLinks: [],
+    scrollLinks: []
+};
+
+// Lifecycle Event Bus - listeners get the event's detail. Every event is also
+// dispatched on document as "portfolio:<name>", for scripts that are not plugins.
+//   init           every plugin has run
+//   rendered       the promises returned by plugins have settled (data-driven sections are in place)
+//   theme:change   { mode, theme }
+//   locale:change  { locale, dir }
+//   section:enter  { section }, and section:leave when it scrolls out of view
+//   motion:change  { reduced, preference }, when the OS setting or the visitor's choice changes
+//   menu:open      the mobile menu opened, menu:close when it closed
+//   scroll         { y }, at most once per animation frame
+//   track          { name, parameters, options } for the analytics providers
+//   fallback       { error }, init failed and only the basic fallbacks run (no plugin starts)
+const listeners = new Map();
+
+export function on(name, listener) {
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(listener);
+    return () => off(name, listener);
+}
+
+export function off(name, listener) {
+    const named = listeners.get(name);
+    if (named) named.delete(listener);
+}
+
+export function emit(name, detail = {}) {
+    (listeners.get(name) || []).forEach(listener => {
+        try {
+            listener(detail);
+        } catch (error) {
+            console.error(`"${name}" listener failed:`, error);
+        }
+    });
+
+    document.dispatchEvent(new CustomEvent(`portfolio:${name}`, { detail }));
+}
+
+// Plugins
+const plugins = [];
+
+export function use(plugin) {
+    const entry = typeof plugin === 'function'
+        ? { name: plugin.name || 'anonymous', init: plugin }
+        : plugin;
+
+    if (!entry || typeof entry.init !== 'function') {
+        throw new TypeError("A plugin is a function or an object with an init() method");
+    }
+    if (plugins.some(item => item.name === entry.name)) {
+        console.warn(`Plugin "${entry.name}" is already registered`);
+        return Portfolio;
+    }
+
+    plugins.push(entry);
+
+    // Late plugins start right away
+    if (App.isInitialized) {
+        runPlugin(entry);
+    }
+    return Portfolio;
+}
+
+// One failing plugin is logged and skipped; the others still start.
+// A plugin whose feature flag is off (see config.js) never starts.
+function runPlugin(plugin) {
+    if (!isFeatureEnabled(plugin.name)) {
+        console.info(`Plugin "${plugin.name}" is turned off`);
+        try {
+            if (typeof plugin.fallback === 'function') plugin.fallback(Portfolio);
+        } catch (error) {
+            console.error(`❌ Plugin "${plugin.name}" fallback failed:`, error);
+        }
+        return Promise.resolve();
+    }
+
+    try {
+        return Promise.resolve(plugin.init(Portfolio)).catch(error => {
+            console.error(`❌ Plugin "${plugin.name}" failed:`, error);
+        });
+    } catch (error) {
+        console.error(`❌ Plugin "${plugin.name}" failed:`, error);
+        return Promise.resolve();
+    }
+}
+
+// Initialize App
+function init() {
+    if (App.isInitialized) return;
+
+    try {
+        // Cache DOM elements
+        cacheDOMElements();
+
+        // Check for reduced motion preference
+        checkReducedMotion();
+
+    } catch (error) {
+        // Fallback for critical functionality
+        setupBasicFallbacks();
+        // Before logging, so the error is reported once, as the fallback
+        emit('fallback', { error });
+        console.error("❌ Portfolio initialization failed:", error);
+        return;
+    }
+
+    // Plugins may register more plugins while they start; those run in this pass too
+    const pending = [];
+    for (let index = 0; index < plugins.length; index++) {
+        pending.push(runPlugin(plugins[index]));
+    }
+
+    App.isInitialized = true;
+    emit('init');
+    console.log("✅ Portfolio initialized successfully");
+
+    // Data-driven sections are in place; scripts/build.mjs waits for this to prerender them
+    Promise.all(pending).then(() => emit('rendered'));
+}
+
+// Cache DOM Elements for Performance
+function cacheDOMElements() {
+    DOM.body = document.body;
+    DOM.html = document.documentElement;
+    DOM.themeToggle = document.getElementById('themeToggle');
+    DOM.themeSettingsBtn = document.getElementById('theme-settings-btn');
+    DOM.themeMenu = document.getElementById('theme-menu');
+    DOM.localeSwitchers = Array.from(document.querySelectorAll('[data-locale-switcher]'));
+    DOM.hamburgerBtn = document.getElementById('hamburger-btn');
+    DOM.mobileMenu = document.getElementById('mobile-menu');
+    DOM.mobileNavLinks = Array.from(document.querySelectorAll('.mobile-nav-link'));
+    DOM.projectGrid = document.querySelector('.project-grid');
+    DOM.sections = Array.from(document.querySelectorAll('section'));
+    DOM.navLinks = Array.from(document.querySelectorAll('a[href^="#"]'));
+    DOM.scrollLinks = Array.from(document.querySelectorAll('.scroll-link'));
+
+    // Store references in App.elements for backward compatibility
+    App.elements = {
+        body: DOM.body,
+        themeToggle: DOM.themeToggle,
+        hamburgerBtn: DOM.hamburgerBtn,
+        mobileMenu: DOM.mobileMenu,
+        mobileNavLinks: DOM.mobileNavLinks,
+        sections: DOM.sections
+    };
+}
+
+// Check for reduced motion preference
+function checkReducedMotion() {
+    App.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Start once the DOM is ready; module scripts usually run after parsing already
+export function start() {
+    // Error Handling
+    window.addEventListener('error', (e) => {
+        // Cross-origin scripts only give a message
+        console.error('Global error:', e.error || e.message);
+    });
+
+    window.addEventListener('unhandledrejection', (e) => {
+        console.error('Unhandled promise rejection:', e.reason);
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+}
+
+// The public API, passed to every plugin and exposed as window.Portfolio
+export const Portfolio = {
+    use,
+    on,
+    off,
+    emit
+};
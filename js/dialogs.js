@@ -0,0 +1,217 @@
+/* ========================================
+   DIALOGS
+   Focus Trap, Scroll Lock & Dialog Stack
+======================================== */
+
+import { App, DOM } from './core.js';
+
+// Focus Trap for Modal/Menu
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Active Tab handlers, so each trap can be removed again on release
+const focusTraps = new Map();
+
+// What holds the page scroll lock (the dialog stack, the mobile menu)
+const scrollLocks = new Set();
+
+// Elements each open overlay made inert, so only those are restored
+const inertBackgrounds = new Map();
+
+export default {
+    name: 'dialogs',
+    init: setupDialogs
+};
+
+function getFocusableElements(element) {
+    return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => !el.closest('[hidden]') && !el.closest('[inert]'));
+}
+
+export function trapFocus(element, initialFocus) {
+    try {
+        releaseFocus(element);
+
+        // Look the edges up on every Tab, the content can change while open
+        function handleTabKey(e) {
+            if (e.key !== 'Tab') return;
+
+            const focusableElements = getFocusableElements(element);
+            const firstFocusableElement = focusableElements[0];
+            const lastFocusableElement = focusableElements[focusableElements.length - 1];
+
+            if (!firstFocusableElement) {
+                e.preventDefault();
+                return;
+            }
+
+            if (e.shiftKey) {
+                if (document.activeElement === firstFocusableElement || !element.contains(document.activeElement)) {
+                    lastFocusableElement.focus();
+                    e.preventDefault();
+                }
+            } else {
+                if (document.activeElement === lastFocusableElement || !element.contains(document.activeElement)) {
+                    firstFocusableElement.focus();
+                    e.preventDefault();
+                }
+            }
+        }
+
+        element.addEventListener('keydown', handleTabKey);
+        focusTraps.set(element, handleTabKey);
+
+        // Focus the requested element, or the first focusable one
+        const target = initialFocus || getFocusableElements(element)[0];
+        if (target) {
+            target.focus();
+        }
+
+    } catch (error) {
+        console.error("Focus trap failed:", error);
+    }
+}
+
+// Release Focus Trap and optionally return focus to the element that opened it
+export function releaseFocus(element, returnFocusTo) {
+    try {
+        const handleTabKey = focusTraps.get(element);
+        if (handleTabKey) {
+            element.removeEventListener('keydown', handleTabKey);
+            focusTraps.delete(element);
+        }
+
+        if (returnFocusTo && document.contains(returnFocusTo)) {
+            returnFocusTo.focus();
+        }
+    } catch (error) {
+        console.error("Focus release failed:", error);
+    }
+}
+
+// Background Scroll Lock - the body is fixed in place, which iOS Safari also respects
+// (it ignores overflow: hidden), and the scrollbar's width is kept as padding so
+// nothing shifts when it goes away. Locks are counted per owner.
+export function lockScroll(owner) {
+    scrollLocks.add(owner);
+    if (scrollLocks.size > 1) return;
+
+    App.lockedScrollY = window.scrollY;
+    DOM.html.style.setProperty('--scrollbar-width', `${window.innerWidth - DOM.html.clientWidth}px`);
+    DOM.body.style.top = `-${App.lockedScrollY}px`;
+    DOM.body.classList.add('scroll-locked');
+}
+
+export function unlockScroll(owner) {
+    if (!scrollLocks.delete(owner) || scrollLocks.size) return;
+
+    DOM.body.classList.remove('scroll-locked');
+    DOM.body.style.top = '';
+    DOM.html.style.removeProperty('--scrollbar-width');
+    window.scrollTo({ top: App.lockedScrollY, behavior: 'instant' });
+}
+
+// Background Inert - everything outside the element is made inert, so neither
+// pointers, Tab nor screen readers reach the page behind it
+export function makeBackgroundInert(element) {
+    try {
+        releaseBackgroundInert(element);
+
+        const madeInert = [];
+        for (let node = element; node.parentElement && node !== DOM.body; node = node.parentElement) {
+            Array.from(node.parentElement.children).forEach(sibling => {
+                if (sibling === node || sibling.hasAttribute('inert')) return;
+                sibling.setAttribute('inert', '');
+                madeInert.push(sibling);
+            });
+        }
+        inertBackgrounds.set(element, madeInert);
+
+    } catch (error) {
+        console.error("Making the background inert failed:", error);
+    }
+}
+
+export function releaseBackgroundInert(element) {
+    const madeInert = inertBackgrounds.get(element);
+    if (!madeInert) return;
+
+    madeInert.forEach(sibling => sibling.removeAttribute('inert'));
+    inertBackgrounds.delete(element);
+}
+
+// Dialogs - a stack of open dialogs sharing focus, Escape and scroll handling
+function setupDialogs() {
+    try {
+        document.addEventListener('keydown', (e) => {
+            const current = App.dialogs[App.dialogs.length - 1];
+            if (e.key === 'Escape' && current) {
+                e.preventDefault();
+                current.requestClose();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const current = App.dialogs[App.dialogs.length - 1];
+            if (!current) return;
+
+            // Close buttons and clicks on the backdrop itself
+            if (e.target === current.dialog || e.target.closest('[data-dialog-close]')) {
+                current.requestClose();
+            }
+        });
+    } catch (error) {
+        console.error("Dialog setup failed:", error);
+    }
+}
+
+export function openDialog(dialog, options = {}) {
+    if (App.dialogs.some(entry => entry.dialog === dialog)) return;
+
+    const entry = {
+        dialog,
+        opener: options.opener || document.activeElement,
+        onClose: options.onClose,
+        requestClose: options.onRequestClose || (() => closeDialog(dialog))
+    };
+
+    App.dialogs.push(entry);
+    lockScroll('dialogs');
+
+    dialog.hidden = false;
+    dialog.setAttribute('aria-hidden', 'false');
+
+    // Let the browser paint the hidden state first so the transition runs
+    requestAnimationFrame(() => dialog.classList.add('is-open'));
+    trapFocus(dialog, options.initialFocus);
+}
+
+export function closeDialog(dialog) {
+    const index = App.dialogs.findIndex(entry => entry.dialog === dialog);
+    if (index === -1) return;
+
+    const [entry] = App.dialogs.splice(index, 1);
+
+    dialog.classList.remove('is-open');
+    dialog.setAttribute('aria-hidden', 'true');
+    setTimeout(() => {
+        if (!dialog.classList.contains('is-open')) {
+            dialog.hidden = true;
+        }
+    }, App.isReducedMotion ? 0 : 300);
+
+    if (!App.dialogs.length) {
+        unlockScroll('dialogs');
+    }
+    releaseFocus(dialog, entry.opener);
+
+    if (entry.onClose) {
+        entry.onClose();
+    }
+}
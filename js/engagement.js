@@ -0,0 +1,133 @@
+/* ========================================
+   ENGAGEMENT TRACKING
+   Section Time, Scroll Depth & Downloads
+======================================== */
+
+import { App, DOM, emit, on } from './core.js';
+
+// Engagement Tracking - time visible per section, scroll depth and resume downloads,
+// sent as analytics events whenever the page is hidden or unloaded
+const SCROLL_DEPTH_MILESTONES = [25, 50, 75, 100];
+const MIN_SECTION_VISIBLE_MS = 500;
+
+const Engagement = {
+    isEnabled: false,
+    sections: new Map(),
+    reachedDepths: new Set(),
+    pendingEvents: []
+};
+
+export default {
+    name: 'engagement',
+    init: setupEngagementTracking
+};
+
+function setupEngagementTracking() {
+    try {
+        Engagement.isEnabled = true;
+
+        document.addEventListener('click', (e) => {
+            const resumeLink = e.target.closest('a[href$=".pdf"]');
+            if (resumeLink) {
+                Engagement.pendingEvents.push({
+                    name: 'resume_download',
+                    parameters: { link_url: resumeLink.href }
+                });
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flushEngagement();
+            } else {
+                // Restart the clocks for sections still on screen
+                const now = performance.now();
+                Engagement.sections.forEach(state => {
+                    if (state.isVisible) state.visibleSince = now;
+                });
+            }
+        });
+
+        window.addEventListener('pagehide', flushEngagement);
+
+        on('section:enter', ({ section }) => handleSectionVisibility(section, true));
+        on('section:leave', ({ section }) => handleSectionVisibility(section, false));
+        on('scroll', updateScrollDepth);
+
+        // Short pages may already show their end without scrolling
+        updateScrollDepth();
+
+    } catch (error) {
+        Engagement.isEnabled = false;
+        console.error("Engagement tracking setup failed:", error);
+    }
+}
+
+// Sections report entering and leaving the viewport through section:enter and section:leave
+function handleSectionVisibility(section, isVisible) {
+    if (!Engagement.isEnabled || !section.id) return;
+
+    const now = performance.now();
+    const state = Engagement.sections.get(section.id) || { isVisible: false, visibleSince: 0, visibleMs: 0 };
+
+    if (isVisible && !state.isVisible) {
+        state.visibleSince = now;
+    } else if (!isVisible && state.isVisible && document.visibilityState === 'visible') {
+        state.visibleMs += now - state.visibleSince;
+    }
+
+    state.isVisible = isVisible;
+    Engagement.sections.set(section.id, state);
+}
+
+// Runs on every scroll event, reads App.scrollY
+function updateScrollDepth() {
+    if (!Engagement.isEnabled) return;
+
+    const scrollable = DOM.html.scrollHeight - window.innerHeight;
+    const percent = scrollable > 0 ? Math.round((App.scrollY / scrollable) * 100) : 100;
+
+    SCROLL_DEPTH_MILESTONES.forEach(milestone => {
+        if (percent >= milestone && !Engagement.reachedDepths.has(milestone)) {
+            Engagement.reachedDepths.add(milestone);
+            Engagement.pendingEvents.push({
+                name: 'scroll_depth',
+                parameters: { percent: milestone }
+            });
+        }
+    });
+}
+
+// Send everything collected since the last flush, using sendBeacon
+function flushEngagement() {
+    if (!Engagement.isEnabled) return;
+
+    try {
+        const now = performance.now();
+
+        Engagement.sections.forEach((state, sectionId) => {
+            if (state.isVisible) {
+                state.visibleMs += now - state.visibleSince;
+                state.visibleSince = now;
+            }
+
+            if (state.visibleMs >= MIN_SECTION_VISIBLE_MS) {
+                Engagement.pendingEvents.push({
+                    name: 'section_engagement',
+                    parameters: {
+                        section_id: sectionId,
+                        visible_ms: Math.round(state.visibleMs)
+                    }
+                });
+            }
+            state.visibleMs = 0;
+        });
+
+        Engagement.pendingEvents.splice(0).forEach(event => {
+            emit('track', { name: event.name, parameters: event.parameters, options: { beacon: true } });
+        });
+
+    } catch (error) {
+        console.error("Engagement flush failed:", error);
+    }
+}
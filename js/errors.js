@@ -0,0 +1,236 @@
+/* ========================================
+   ERROR REPORTING
+   Breadcrumbs, Grouping & Beacon Reports
+======================================== */
+
+// Installed by main.js before any plugin runs, so failures during init (and the
+// basic fallbacks that follow them) are reported too. Everything the site logs
+// with console.error becomes a report, which includes core's global handlers
+// for uncaught errors and rejections.
+
+import { config, isFeatureEnabled } from './config.js';
+import { App, on } from './core.js';
+import { describeElement } from './utils.js';
+
+// Error Reporting Configuration - errorReporting in config.js; an empty endpoint turns reporting off
+const ERROR_REPORTING_CONFIG = config.errorReporting;
+
+const Reporter = {
+    breadcrumbs: [],
+    queue: new Map(),
+    sentCounts: new Map(),
+    recentReports: [],
+    dropped: 0,
+    // Errors already sent as the fallback report, which core logs right after
+    fallbackErrors: new WeakSet(),
+    flushTimer: null,
+    isReporting: false,
+    isInstalled: false
+};
+
+export function installErrorReporting() {
+    if (Reporter.isInstalled || !ERROR_REPORTING_CONFIG.endpoint || !isFeatureEnabled('error-reporting')) return;
+    Reporter.isInstalled = true;
+
+    // Every catch block in the site logs through console.error, so that is where reports start
+    const consoleError = console.error;
+    console.error = function (...args) {
+        consoleError.apply(console, args);
+        captureConsoleError(args);
+    };
+
+    setupBreadcrumbs();
+
+    // Send what is queued before the page goes away; beacons survive unloading
+    window.addEventListener('pagehide', flushReports);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushReports();
+    });
+
+    // Core could not start and fell back to the basic theme toggle and menu
+    on('fallback', ({ error }) => {
+        addBreadcrumb('lifecycle', 'Basic fallbacks started');
+        reportError(error, { kind: 'fallback', context: 'setupBasicFallbacks' });
+        if (isError(error)) Reporter.fallbackErrors.add(error);
+    });
+}
+
+// Report an error by hand, e.g. from a plugin that recovers from it without logging
+export function reportError(error, { context = '', kind = 'error' } = {}) {
+    if (!Reporter.isInstalled || Reporter.isReporting) return;
+
+    // A report that fails must never log (and so report) again
+    Reporter.isReporting = true;
+    try {
+        queueReport(describeError(error), { context, kind });
+    } catch (reportingError) {
+        // Nothing else to do: reporting is best effort
+    } finally {
+        Reporter.isReporting = false;
+    }
+}
+
+// console.error("Something failed:", error) - the strings are the context, the Error the report
+function captureConsoleError(args) {
+    const error = args.find(isError);
+
+    if (error && Reporter.fallbackErrors.has(error)) return;
+
+    if (error) {
+        const context = args
+            .filter(arg => typeof arg === 'string')
+            .join(' ')
+            .replace(/:\s*$/, '');
+        reportError(error, { context });
+    } else {
+        // Plain messages, and rejections with a value that is not an Error
+        reportError(args.map(stringifyValue).join(' '));
+    }
+}
+
+// Errors from another realm (an iframe, an extension) fail instanceof but look the same
+function isError(value) {
+    return value instanceof Error
+        || (Boolean(value) && typeof value.message === 'string' && typeof value.stack === 'string');
+}
+
+function describeError(error) {
+    if (isError(error)) {
+        return {
+            name: error.name || 'Error',
+            message: String(error.message || ''),
+            stack: String(error.stack || '').slice(0, ERROR_REPORTING_CONFIG.maxStackLength)
+        };
+    }
+    return { name: 'Error', message: stringifyValue(error), stack: '' };
+}
+
+function stringifyValue(value) {
+    if (typeof value === 'string') return value;
+    try {
+        return JSON.stringify(value) || String(value);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+// Grouping - the same error from the same place is one report with a count
+function getFingerprint(kind, details, context) {
+    // Numbers in messages are usually ids, statuses or sizes: "Status 404" and "Status 500" stay apart,
+    // but only by their first digit, which keeps a flood of ids down to one group
+    const message = details.message.replace(/\d+/g, digits => digits[0]);
+    const frame = details.stack.split('\n').find(line => /:\d+:\d+/.test(line)) || '';
+
+    return hashString([kind, details.name, message, context, frame.trim()].join('|'));
+}
+
+// FNV-1a: short, stable and good enough to tell groups apart
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function queueReport(details, { context, kind }) {
+    const fingerprint = getFingerprint(kind, details, context);
+    const now = Date.now();
+    const queued = Reporter.queue.get(fingerprint);
+
+    if (queued) {
+        queued.count++;
+        queued.lastSeen = now;
+        return;
+    }
+
+    // Rate Limiting - a loop that throws must not turn into a flood of beacons
+    Reporter.recentReports = Reporter.recentReports.filter(time => now - time < 60000);
+    const sent = Reporter.sentCounts.get(fingerprint) || 0;
+    if (Reporter.recentReports.length >= ERROR_REPORTING_CONFIG.maxReportsPerMinute
+        || sent >= ERROR_REPORTING_CONFIG.maxReportsPerFingerprint) {
+        Reporter.dropped++;
+        return;
+    }
+    Reporter.recentReports.push(now);
+    Reporter.sentCounts.set(fingerprint, sent + 1);
+
+    Reporter.queue.set(fingerprint, {
+        fingerprint,
+        kind,
+        name: details.name,
+        message: details.message,
+        context,
+        stack: details.stack,
+        count: 1,
+        firstSeen: now,
+        lastSeen: now,
+        page: `${window.location.pathname}${window.location.hash}`,
+        breadcrumbs: Reporter.breadcrumbs.slice()
+    });
+
+    // The page will not recover from a failed init, so that report goes right away
+    if (kind === 'fallback') {
+        flushReports();
+    } else if (!Reporter.flushTimer) {
+        Reporter.flushTimer = setTimeout(flushReports, ERROR_REPORTING_CONFIG.flushDelayMs);
+    }
+}
+
+// Send everything queued in one batch, using sendBeacon
+function flushReports() {
+    clearTimeout(Reporter.flushTimer);
+    Reporter.flushTimer = null;
+    if (!Reporter.queue.size) return;
+
+    const body = JSON.stringify({
+        reports: Array.from(Reporter.queue.values()),
+        dropped: Reporter.dropped,
+        page: window.location.pathname,
+        locale: App.locale,
+        theme: App.currentTheme,
+        userAgent: navigator.userAgent,
+        sentAt: Date.now()
+    });
+    Reporter.queue.clear();
+    Reporter.dropped = 0;
+
+    const { endpoint } = ERROR_REPORTING_CONFIG;
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+    }
+    fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+}
+
+// Breadcrumbs - the last few things that happened before an error, oldest first
+function addBreadcrumb(category, message) {
+    Reporter.breadcrumbs.push({ category, message, timestamp: Date.now() });
+    if (Reporter.breadcrumbs.length > ERROR_REPORTING_CONFIG.maxBreadcrumbs) {
+        Reporter.breadcrumbs.shift();
+    }
+}
+
+function setupBreadcrumbs() {
+    // Capture phase, so clicks that a handler stops still leave a trace
+    document.addEventListener('click', (e) => {
+        const target = e.target instanceof Element
+            ? e.target.closest('a, button, [role="button"], [role="menuitem"], [role="option"], input, select, summary') || e.target
+            : null;
+        if (target) addBreadcrumb('click', describeElement(target));
+    }, true);
+
+    window.addEventListener('hashchange', (e) => {
+        addBreadcrumb('navigation', `${new URL(e.oldURL).hash || '#'} → ${new URL(e.newURL).hash || '#'}`);
+    });
+
+    on('theme:change', ({ mode, theme }) => addBreadcrumb('theme', `${mode} (${theme})`));
+    on('locale:change', ({ locale }) => addBreadcrumb('locale', locale));
+    on('menu:open', () => addBreadcrumb('menu', 'open'));
+    on('menu:close', () => addBreadcrumb('menu', 'close'));
+}
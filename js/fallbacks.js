@@ -0,0 +1,60 @@
+/* ========================================
+   BASIC FALLBACKS
+   When the Core Fails to Start
+======================================== */
+
+// Basic Fallbacks for Critical Errors
+export function setupBasicFallbacks() {
+    try {
+        // Basic theme toggle
+        const themeToggle = document.getElementById('themeToggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                const currentTheme = document.documentElement.getAttribute('data-theme');
+                const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+                document.documentElement.setAttribute('data-theme', newTheme);
+            });
+        }
+
+        // Basic mobile menu - the button opens it; the close button, a click
+        // outside the drawer and Escape close it, and the page keeps its place
+        const hamburgerBtn = document.getElementById('hamburger-btn');
+        const mobileMenu = document.getElementById('mobile-menu');
+        if (hamburgerBtn && mobileMenu) {
+            let scrollY = 0;
+            const setMenuOpen = (open) => {
+                if (open === mobileMenu.classList.contains('is-open')) return;
+
+                if (open) {
+                    scrollY = window.scrollY;
+                    document.body.style.top = `-${scrollY}px`;
+                }
+                hamburgerBtn.classList.toggle('is-active', open);
+                hamburgerBtn.setAttribute('aria-expanded', String(open));
+                mobileMenu.classList.toggle('is-open', open);
+                mobileMenu.setAttribute('aria-hidden', String(!open));
+                document.body.classList.toggle('mobile-menu-open', open);
+                if (!open) {
+                    document.body.style.top = '';
+                    window.scrollTo({ top: scrollY, behavior: 'instant' });
+                    hamburgerBtn.focus();
+                }
+            };
+
+            hamburgerBtn.addEventListener('click', () => setMenuOpen(!mobileMenu.classList.contains('is-open')));
+            mobileMenu.addEventListener('click', (e) => {
+                if (e.target === mobileMenu || e.target.closest('[data-mobile-menu-close], a[href^="#"]')) {
+                    setMenuOpen(false);
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') setMenuOpen(false);
+            });
+        }
+
+        console.log("✅ Basic fallbacks initialized");
+
+    } catch (error) {
+        console.error("❌ Even basic fallbacks failed:", error);
+    }
+}
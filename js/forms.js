@@ -0,0 +1,493 @@
+/* ========================================
+   FORMS
+   Validation, Error Summaries & Enhanced Submits
+======================================== */
+
+import { on } from './core.js';
+import { t } from './i18n.js';
+
+// Enhanced Form Handling
+// Time from the first interaction with a form to its submit; quicker submits are
+// held back until it has passed, and submits with no interaction at all are bots
+const MIN_SUBMIT_TIME_MS = 3000;
+const SUBMIT_TIMEOUT_MS = 10000;
+
+// Submit transports, picked per form through its data-transport attribute
+const FormTransports = {
+    // POST the fields as JSON to the form's action URL
+    fetch: async (form, data) => {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), SUBMIT_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(form.action, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Form endpoint responded with status ${response.status}`);
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+};
+
+export default {
+    name: 'forms',
+    init: setupFormEnhancements
+};
+
+function setupFormEnhancements() {
+    try {
+        const forms = document.querySelectorAll('form');
+        
+        forms.forEach(form => {
+            if (form.dataset.transport) {
+                form.addEventListener('focusin', startFillTimer);
+                form.addEventListener('input', startFillTimer);
+                form.addEventListener('submit', handleEnhancedSubmit);
+            } else {
+                form.addEventListener('submit', handleNativeSubmit);
+            }
+
+            // Form validation enhancements
+            const inputs = form.querySelectorAll('input, textarea, select');
+            inputs.forEach(input => {
+                input.addEventListener('blur', validateField);
+                input.addEventListener('input', clearErrors);
+            });
+        });
+
+        on('locale:change', refreshFormErrors);
+
+        // Pages restored from the back/forward cache keep their disabled buttons
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) {
+                forms.forEach(form => setFormLoading(form, false));
+            }
+        });
+
+    } catch (error) {
+        console.error("Form enhancements setup failed:", error);
+    }
+}
+
+// Re-word the errors already on screen after the language changes
+function refreshFormErrors() {
+    document.querySelectorAll('form').forEach(async (form) => {
+        const fields = getValidatableFields(form).filter(field => field.getAttribute('aria-invalid') === 'true');
+        if (!fields.length) return;
+
+        const messages = await Promise.all(fields.map(validateInput));
+        if (form.querySelector('.form-error-summary')) {
+            renderErrorSummary(form, fields
+                .map((field, index) => ({ field, message: messages[index] }))
+                .filter(result => result.message));
+        }
+    });
+}
+
+// Validate first, then let the browser submit and navigate as usual
+async function handleNativeSubmit(e) {
+    const form = e.currentTarget;
+    e.preventDefault();
+
+    if (await validateForm(form)) {
+        setFormLoading(form, true);
+        form.submit();
+    }
+}
+
+// Autofill fires input and a submit focuses its button, so people always start it
+function startFillTimer(e) {
+    const form = e.currentTarget;
+    if (!form.dataset.startedAt) {
+        form.dataset.startedAt = Date.now().toString();
+    }
+}
+
+async function handleEnhancedSubmit(e) {
+    e.preventDefault();
+
+    const form = e.currentTarget;
+    if (!(await validateForm(form))) return;
+
+    const data = Object.fromEntries(new FormData(form));
+    const honeypot = form.querySelector('.form-honeypot input');
+
+    // Pretend bots succeeded so they have nothing to retry against
+    if ((honeypot && honeypot.value) || !form.dataset.startedAt) {
+        console.warn("Form submission looked automated and was not sent");
+        form.reset();
+        showFormStatus(form, 'success', t('contact.sent'));
+        return;
+    }
+
+    if (honeypot) {
+        delete data[honeypot.name];
+    }
+
+    const transport = FormTransports[form.dataset.transport];
+    setFormLoading(form, true);
+    hideFormStatus(form);
+
+    try {
+        const remaining = MIN_SUBMIT_TIME_MS - (Date.now() - Number(form.dataset.startedAt));
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+
+        if (!transport) {
+            throw new Error(`Unknown form transport: ${form.dataset.transport}`);
+        }
+
+        await transport(form, data);
+        form.reset();
+        // The next message starts its own timer
+        delete form.dataset.startedAt;
+        showFormStatus(form, 'success', t('contact.sent'));
+
+    } catch (error) {
+        console.error("Form submission failed:", error);
+        showFormStatus(form, 'error', t('contact.failed'), buildMailtoLink(form, data));
+    } finally {
+        setFormLoading(form, false);
+    }
+}
+
+function getValidatableFields(form) {
+    return Array.from(form.querySelectorAll('input, textarea, select'))
+        .filter(field => !field.closest('.form-honeypot') && !field.disabled && field.type !== 'hidden');
+}
+
+function setFormLoading(form, isLoading) {
+    const submitBtn = form.querySelector('[type="submit"]');
+    form.setAttribute('aria-busy', isLoading.toString());
+    if (submitBtn) {
+        submitBtn.classList.toggle('loading', isLoading);
+        submitBtn.disabled = isLoading;
+    }
+}
+
+// Pre-filled mailto: link built from what the visitor already typed
+function buildMailtoLink(form, data) {
+    const address = form.dataset.mailto;
+    if (!address) return null;
+
+    const subject = `Portfolio contact from ${data.name || 'a visitor'}`;
+    const body = [data.message, '', `${data.name || ''} <${data.email || ''}>`].join('\n');
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+function showFormStatus(form, type, message, mailtoHref) {
+    const status = form.querySelector('.form-status');
+    if (!status) return;
+
+    status.className = `form-status form-status-${type}`;
+    status.textContent = message;
+
+    if (mailtoHref) {
+        const link = document.createElement('a');
+        link.href = mailtoHref;
+        link.className = 'form-status-link';
+        link.textContent = t('contact.emailInstead');
+        status.append(' ', link);
+    }
+
+    status.hidden = false;
+}
+
+function hideFormStatus(form) {
+    const status = form.querySelector('.form-status');
+    if (status) {
+        status.hidden = true;
+        status.textContent = '';
+    }
+}
+
+// Validation messages come from the "validation" section of the locale catalogs;
+// fields can override any of them with a data-msg-<rule> attribute,
+// e.g. data-msg-required="Tell me your name"
+const DISPOSABLE_DOMAINS_URL = 'data/disposable-domains.json';
+let disposableDomainsPromise = null;
+
+// Validation Rules - `test` returns (or resolves to) true when the value is valid.
+// Rules other than `required` only run on non-empty values.
+const ValidationRules = {
+    required: {
+        test: (value) => value.length > 0
+    },
+    email: {
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+    url: {
+        test: (value) => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (error) {
+                return false;
+            }
+        }
+    },
+    phone: {
+        test: (value) => /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7
+    },
+    minlength: {
+        test: (value, field, arg) => value.length >= Number(arg),
+        params: (field, arg) => ({ min: arg })
+    },
+    maxlength: {
+        test: (value, field, arg) => value.length <= Number(arg),
+        params: (field, arg) => ({ max: arg })
+    },
+    pattern: {
+        test: (value, field, arg) => new RegExp(`^(?:${arg})$`, 'u').test(value)
+    },
+    match: {
+        test: (value, field, arg) => {
+            const other = field.form && field.form.querySelector(arg);
+            return !other || other.value.trim() === value;
+        },
+        params: (field, arg) => {
+            const other = field.form && field.form.querySelector(arg);
+            return { other: other ? getFieldLabel(other) : arg };
+        }
+    },
+    disposable: {
+        test: async (value) => {
+            const domain = value.split('@').pop().toLowerCase();
+            const domains = await loadDisposableDomains();
+            return !domains.has(domain);
+        }
+    }
+};
+
+// Load the disposable email domain list once; a failed load blocks nobody
+function loadDisposableDomains() {
+    if (!disposableDomainsPromise) {
+        disposableDomainsPromise = fetch(DISPOSABLE_DOMAINS_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Status ${response.status}`);
+                return response.json();
+            })
+            .then(domains => new Set(domains.map(domain => domain.toLowerCase())))
+            .catch(error => {
+                console.warn("Disposable email list unavailable:", error);
+                return new Set();
+            });
+    }
+    return disposableDomainsPromise;
+}
+
+// Collect the rules for a field from native constraint attributes and data-validate.
+// data-validate takes space separated rules with optional arguments: "match:#email disposable"
+function getFieldRules(field) {
+    const rules = [];
+
+    if (field.required) rules.push({ name: 'required' });
+    if (field.type === 'email') rules.push({ name: 'email' });
+    if (field.type === 'url') rules.push({ name: 'url' });
+    if (field.type === 'tel') rules.push({ name: 'phone' });
+    if (field.hasAttribute('minlength')) rules.push({ name: 'minlength', arg: field.getAttribute('minlength') });
+    if (field.hasAttribute('maxlength')) rules.push({ name: 'maxlength', arg: field.getAttribute('maxlength') });
+    if (field.hasAttribute('pattern')) rules.push({ name: 'pattern', arg: field.getAttribute('pattern') });
+
+    (field.dataset.validate || '').split(/\s+/).filter(Boolean).forEach(token => {
+        const separator = token.indexOf(':');
+        const name = separator === -1 ? token : token.slice(0, separator);
+        const arg = separator === -1 ? undefined : token.slice(separator + 1);
+
+        if (!ValidationRules[name]) {
+            console.warn(`Unknown validation rule "${name}" on`, field);
+            return;
+        }
+        if (!rules.some(rule => rule.name === name)) {
+            rules.push({ name, arg });
+        }
+    });
+
+    return rules;
+}
+
+function getValidationMessage(field, ruleName, params = {}) {
+    const attribute = `msg${ruleName.charAt(0).toUpperCase()}${ruleName.slice(1)}`;
+    const template = field.dataset[attribute];
+
+    if (!template) {
+        return t(`validation.${ruleName}`, params);
+    }
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+}
+
+function getFieldLabel(field) {
+    const label = field.labels && field.labels[0];
+    return (label ? label.textContent : field.name || field.id || t('validation.thisField')).trim();
+}
+
+function validateField(e) {
+    validateInput(e.target);
+}
+
+// Latest validation run per field, so a slow async rule cannot overwrite a newer result
+const validationRuns = new WeakMap();
+
+// Validate one field; resolves to the error message, or null when it is valid
+async function validateInput(field) {
+    const run = (validationRuns.get(field) || 0) + 1;
+    validationRuns.set(field, run);
+
+    const value = field.value.trim();
+    let message = null;
+
+    for (const rule of getFieldRules(field)) {
+        if (rule.name !== 'required' && !value) continue;
+
+        const definition = ValidationRules[rule.name];
+        let isValid;
+
+        try {
+            isValid = await definition.test(value, field, rule.arg);
+        } catch (error) {
+            console.error(`Validation rule "${rule.name}" failed:`, error);
+            isValid = true;
+        }
+
+        if (!isValid) {
+            const params = definition.params ? definition.params(field, rule.arg) : {};
+            message = getValidationMessage(field, rule.name, params);
+            break;
+        }
+    }
+
+    if (validationRuns.get(field) !== run) {
+        return field.getAttribute('aria-invalid') === 'true' ? getFieldErrorMessage(field) : null;
+    }
+
+    clearFieldError(field);
+    if (message) {
+        showFieldError(field, message);
+    }
+    return message;
+}
+
+// Validate every field, then summarize the problems and focus the first one
+async function validateForm(form) {
+    const fields = getValidatableFields(form);
+    const messages = await Promise.all(fields.map(validateInput));
+    const invalid = fields
+        .map((field, index) => ({ field, message: messages[index] }))
+        .filter(result => result.message);
+
+    renderErrorSummary(form, invalid);
+
+    if (invalid.length) {
+        invalid[0].field.focus();
+    }
+    return invalid.length === 0;
+}
+
+function renderErrorSummary(form, invalid) {
+    let summary = form.querySelector('.form-error-summary');
+
+    if (!invalid.length) {
+        if (summary) summary.remove();
+        return;
+    }
+
+    if (!summary) {
+        summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        summary.setAttribute('role', 'alert');
+        form.prepend(summary);
+    }
+
+    const heading = document.createElement('p');
+    heading.className = 'form-error-summary-title';
+    heading.textContent = getValidationMessage(form, 'summary');
+
+    const list = document.createElement('ul');
+    invalid.forEach(({ field, message }) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${getFieldId(field)}`;
+        link.textContent = `${getFieldLabel(field)}: ${message}`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            field.focus();
+        });
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    summary.replaceChildren(heading, list);
+}
+
+function clearErrors(e) {
+    clearFieldError(e.target);
+}
+
+// Stable, unique ids so error messages never collide between fields
+let generatedIdCount = 0;
+
+function getFieldId(field) {
+    if (!field.id) {
+        generatedIdCount += 1;
+        field.id = `${field.name || 'field'}-${generatedIdCount}`;
+    }
+    return field.id;
+}
+
+function getFieldErrorMessage(field) {
+    const errorDiv = document.getElementById(`${getFieldId(field)}-error`);
+    return errorDiv ? errorDiv.textContent : null;
+}
+
+function showFieldError(field, message) {
+    try {
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'field-error';
+        errorDiv.textContent = message;
+        errorDiv.id = `${getFieldId(field)}-error`;
+        
+        // Keep any existing descriptions such as hints
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        field.setAttribute('aria-describedby', describedBy.concat(errorDiv.id).join(' '));
+        field.insertAdjacentElement('afterend', errorDiv);
+        
+    } catch (error) {
+        console.error("Show field error failed:", error);
+    }
+}
+
+function clearFieldError(field) {
+    try {
+        const errorId = `${getFieldId(field)}-error`;
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== errorId);
+
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+        
+        const errorDiv = document.getElementById(errorId);
+        if (errorDiv) {
+            errorDiv.remove();
+        }
+    } catch (error) {
+        console.error("Clear field error failed:", error);
+    }
+}
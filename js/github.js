@@ -0,0 +1,280 @@
+/* ========================================
+   GITHUB REPOSITORIES
+   Open Source Cards, Cache & Offline Fallback
+======================================== */
+
+import { config } from './config.js';
+import { App, on } from './core.js';
+import { setTranslatedAttribute, setTranslatedText } from './i18n.js';
+import { refreshProjectCard } from './projects.js';
+import { createElement, sanitizeUrl } from './utils.js';
+
+// GitHub Configuration - github in config.js; data-github-user and data-github-api on
+// the [data-github] block override the owner and API, for the dev server and the tests
+const GITHUB_CONFIG = config.github;
+
+// Profile URLs the owner can be read from
+const GITHUB_HOSTS = ['github.com', 'www.github.com'];
+
+const GITHUB_CACHE_DB = 'portfolio-github';
+const GITHUB_CACHE_STORE = 'responses';
+let cacheDb = null;
+
+export default {
+    name: 'github',
+    init: setupGitHub
+};
+
+function setupGitHub() {
+    const container = document.querySelector('[data-github]');
+    if (!container) return;
+
+    const grid = container.querySelector('.repo-grid');
+    if (!grid) {
+        console.warn("GitHub repository grid not found");
+        return;
+    }
+
+    // Not returned: "rendered" should never wait on a remote API
+    App.githubReady = App.resumeReady
+        .then(async () => {
+            const owner = container.dataset.githubUser || GITHUB_CONFIG.owner || getResumeGitHubUser();
+            updateProfileLinks(owner);
+
+            App.repositories = await loadRepositories(owner, container.dataset.githubApi || GITHUB_CONFIG.baseUrl);
+            renderRepositories(container, grid, App.repositories);
+            await linkProjectSources(App.repositories);
+        })
+        .catch(error => {
+            console.error("GitHub repositories failed:", error);
+        })
+        .finally(() => {
+            grid.setAttribute('aria-busy', 'false');
+        });
+
+    // Relative dates are formatted for the locale, so they are rebuilt with it
+    on('locale:change', () => {
+        if (App.repositories) renderRepositories(container, grid, App.repositories);
+    });
+}
+
+function getResumeGitHubUser() {
+    const profiles = App.resume ? App.resume.basics.profiles : [];
+    const profile = profiles.find(item => String(item.network).toLowerCase() === 'github');
+    if (!profile) return '';
+    if (profile.username) return profile.username;
+
+    // A URL that does not parse or is not on GitHub leaves no owner, and the snapshot is shown instead
+    try {
+        const url = new URL(profile.url, 'https://github.com');
+        if (!GITHUB_HOSTS.includes(url.hostname)) return '';
+        return url.pathname.split('/').filter(Boolean)[0] || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+function updateProfileLinks(owner) {
+    if (!owner) return;
+
+    document.querySelectorAll('[data-profile="github"]').forEach(link => {
+        link.setAttribute('href', `https://github.com/${encodeURIComponent(owner)}`);
+    });
+}
+
+// Fresh cache, then the API (revalidating with the cached ETag), then a stale
+// cache, then the bundled snapshot: rate limits and offline visits still show cards
+async function loadRepositories(owner, baseUrl) {
+    if (!owner) return loadSnapshot();
+
+    const url = `${baseUrl.replace(/\/+$/, '')}/users/${encodeURIComponent(owner)}/repos?sort=pushed&per_page=100`;
+    const cached = await readCache(url);
+
+    if (cached && Date.now() - cached.fetchedAt < GITHUB_CONFIG.cacheTtlMs) {
+        return cached.repos;
+    }
+    if (!navigator.onLine) {
+        return cached ? cached.repos : loadSnapshot();
+    }
+
+    try {
+        const response = await fetch(url, {
+            headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {}
+        });
+
+        // Unchanged: GitHub does not count a 304 against the rate limit
+        if (response.status === 304 && cached) {
+            await writeCache(url, { ...cached, fetchedAt: Date.now() });
+            return cached.repos;
+        }
+        if (isRateLimited(response)) {
+            const reset = Number(response.headers.get('X-RateLimit-Reset')) * 1000;
+            throw new Error(`Rate limited${reset ? ` until ${new Date(reset).toLocaleTimeString()}` : ''}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Status ${response.status}`);
+        }
+
+        const repos = normalizeRepositories(await response.json());
+        await writeCache(url, { etag: response.headers.get('ETag') || '', fetchedAt: Date.now(), repos });
+        return repos;
+
+    } catch (error) {
+        console.warn(`GitHub API unavailable, using ${cached ? 'cached' : 'bundled'} repositories:`, error);
+        return cached ? cached.repos : loadSnapshot();
+    }
+}
+
+function isRateLimited(response) {
+    return response.status === 429
+        || (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0');
+}
+
+async function loadSnapshot() {
+    const response = await fetch(GITHUB_CONFIG.snapshotUrl);
+    if (!response.ok) {
+        throw new Error(`Repositories snapshot request failed with status ${response.status}`);
+    }
+
+    const snapshot = await response.json();
+    return normalizeRepositories(snapshot.repos);
+}
+
+// Keep what the cards show, newest push first; forks and archived repositories are left out
+function normalizeRepositories(repos) {
+    return (Array.isArray(repos) ? repos : [])
+        .filter(repo => repo && repo.name && !repo.fork && !repo.archived)
+        .map(repo => ({
+            name: String(repo.name),
+            url: sanitizeUrl(repo.html_url),
+            description: repo.description || '',
+            language: repo.language || '',
+            stars: Number(repo.stargazers_count) || 0,
+            pushedAt: repo.pushed_at || ''
+        }))
+        .sort((a, b) => b.pushedAt.localeCompare(a.pushedAt));
+}
+
+// IndexedDB Cache - a missing or blocked database (private windows) just means no cache
+function openCacheDb() {
+    if (!cacheDb) {
+        cacheDb = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+
+            const request = indexedDB.open(GITHUB_CACHE_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(GITHUB_CACHE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return cacheDb;
+}
+
+async function runCacheRequest(mode, createRequest) {
+    try {
+        const db = await openCacheDb();
+        return await new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(GITHUB_CACHE_STORE, mode).objectStore(GITHUB_CACHE_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.warn("GitHub cache unavailable:", error);
+        return undefined;
+    }
+}
+
+async function readCache(key) {
+    return (await runCacheRequest('readonly', store => store.get(key))) || null;
+}
+
+function writeCache(key, value) {
+    return runCacheRequest('readwrite', store => store.put(value, key));
+}
+
+// Open Source Cards
+function renderRepositories(container, grid, repos) {
+    const shown = repos.slice(0, GITHUB_CONFIG.limit);
+
+    grid.replaceChildren(...shown.map(createRepositoryCard));
+    container.hidden = shown.length === 0;
+}
+
+function createRepositoryCard(repo) {
+    const card = createElement('article', 'repo-card');
+    const title = createElement('h4', 'repo-name');
+
+    if (repo.url) {
+        const link = createElement('a', 'repo-link', repo.name);
+        link.href = repo.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        title.appendChild(link);
+    } else {
+        title.textContent = repo.name;
+    }
+    card.appendChild(title);
+
+    if (repo.description) {
+        card.appendChild(createElement('p', 'repo-description', repo.description));
+    }
+
+    const meta = createElement('p', 'repo-meta');
+    if (repo.language) {
+        meta.appendChild(createElement('span', 'repo-language', repo.language));
+    }
+
+    const stars = createElement('span', 'repo-stars');
+    setTranslatedText(stars, 'work.stars', { count: repo.stars });
+    meta.appendChild(stars);
+
+    const pushedAt = new Date(repo.pushedAt);
+    if (!Number.isNaN(pushedAt.getTime())) {
+        const time = createElement('time', 'repo-updated');
+        time.dateTime = repo.pushedAt;
+        setTranslatedText(time, 'work.updated', { time: formatRelativeTime(pushedAt) });
+        setTranslatedAttribute(time, 'title', 'work.updatedOn', {
+            date: new Intl.DateTimeFormat(App.locale, { dateStyle: 'long' }).format(pushedAt)
+        });
+        meta.appendChild(time);
+    }
+    card.appendChild(meta);
+
+    return card;
+}
+
+const RELATIVE_TIME_UNITS = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+];
+
+// "3 days ago", in the current locale
+function formatRelativeTime(date) {
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const [unit, size] = RELATIVE_TIME_UNITS.find(([, unitSize]) => Math.abs(seconds) >= unitSize)
+        || ['second', 1];
+
+    return new Intl.RelativeTimeFormat(App.locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
+
+// Projects that name a "repo" in data/projects.json get their source link from it
+async function linkProjectSources(repos) {
+    const projects = await App.projectsReady;
+
+    projects.forEach(project => {
+        if (!project.repo || project.sourceUrl) return;
+
+        const repo = repos.find(item => item.name.toLowerCase() === project.repo.toLowerCase());
+        if (repo && repo.url) {
+            project.sourceUrl = repo.url;
+            refreshProjectCard(project);
+        }
+    });
+}
@@ -0,0 +1,174 @@
+/* ========================================
+   INTERNATIONALIZATION
+   Message Catalogs & Text Direction
+======================================== */
+
+import { App, DOM, emit } from './core.js';
+import { readStorage } from './utils.js';
+
+// Internationalization - message catalogs live in locales/<locale>.json.
+// Static copy is marked up with data-i18n="key" for text and
+// data-i18n-attr="aria-label:key; placeholder:key" for attributes.
+const LOCALE_STORAGE_KEY = 'locale';
+export const DEFAULT_LOCALE = 'en';
+const LOCALES_PATH = 'locales/';
+const SUPPORTED_LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+const catalogRequests = {};
+const catalogs = {};
+
+export default {
+    name: 'i18n',
+    init: setupI18n
+};
+
+function setupI18n() {
+    try {
+        DOM.localeSwitchers.forEach(select => {
+            select.addEventListener('change', () => setLocale(select.value));
+        });
+
+        App.i18nReady = setLocale(getInitialLocale(), { persist: false });
+
+    } catch (error) {
+        console.error("I18n setup failed:", error);
+        App.i18nReady = Promise.resolve();
+    }
+    return App.i18nReady;
+}
+
+// Saved choice first, then the browser's preferred languages
+function getInitialLocale() {
+    const saved = readStorage(LOCALE_STORAGE_KEY);
+    if (SUPPORTED_LOCALES[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language])
+        .filter(Boolean)
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(language => SUPPORTED_LOCALES[language]);
+
+    return preferred || DEFAULT_LOCALE;
+}
+
+// Load one catalog once; English is always loaded as the fallback
+function loadCatalog(locale) {
+    if (!catalogRequests[locale]) {
+        catalogRequests[locale] = fetch(`${LOCALES_PATH}${locale}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Status ${response.status}`);
+                return response.json();
+            })
+            .then(catalog => {
+                catalogs[locale] = catalog;
+                return catalog;
+            })
+            .catch(error => {
+                delete catalogRequests[locale];
+                throw error;
+            });
+    }
+    return catalogRequests[locale];
+}
+
+export async function setLocale(locale, options = {}) {
+    if (!SUPPORTED_LOCALES[locale]) locale = DEFAULT_LOCALE;
+
+    try {
+        await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(locale)]);
+    } catch (error) {
+        console.error(`Failed to load the "${locale}" catalog:`, error);
+        DOM.localeSwitchers.forEach(select => { select.value = App.locale; });
+        return;
+    }
+
+    App.locale = locale;
+    DOM.html.lang = locale;
+    DOM.html.dir = SUPPORTED_LOCALES[locale].dir;
+
+    applyTranslations(document);
+    DOM.localeSwitchers.forEach(select => { select.value = locale; });
+
+    if (options.persist !== false) {
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            console.error("Failed to save locale:", error);
+        }
+    }
+
+    // Components that build their own text re-render on this
+    emit('locale:change', { locale, dir: SUPPORTED_LOCALES[locale].dir });
+}
+
+export function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, readI18nParams(element));
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key, readI18nParams(element)));
+            }
+        });
+    });
+}
+
+function readI18nParams(element) {
+    try {
+        return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Set translated text and remember the key, so a later locale change updates it too
+export function setTranslatedText(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete element.dataset.i18nParams;
+    }
+    element.textContent = t(key, params);
+}
+
+export function setTranslatedAttribute(element, attribute, key, params) {
+    const pairs = (element.dataset.i18nAttr || '').split(';')
+        .map(pair => pair.trim())
+        .filter(pair => pair && !pair.startsWith(`${attribute}:`));
+
+    pairs.push(`${attribute}:${key}`);
+    element.dataset.i18nAttr = pairs.join('; ');
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    }
+    element.setAttribute(attribute, t(key, params));
+}
+
+// Translate a dotted key like "work.viewAll", falling back to English and then the key.
+// Plural messages are objects keyed by Intl.PluralRules category, chosen by params.count.
+export function t(key, params = {}) {
+    let message = lookupMessage(catalogs[App.locale], key);
+    if (message === undefined) message = lookupMessage(catalogs[DEFAULT_LOCALE], key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(App.locale).select(Number(params.count) || 0);
+        message = message[category] || message.other || '';
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? value.toLocaleString(App.locale) : value;
+    });
+}
+
+function lookupMessage(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
@@ -0,0 +1,167 @@
+/* ========================================
+   IMAGES
+   Responsive Variants, Preloading & Lazy Loading
+======================================== */
+
+import { App, on } from './core.js';
+
+// Responsive Images - data/images.json is written by scripts/images.mjs with AVIF, WebP
+// and JPEG srcsets and a blurred placeholder for every original in images/
+const IMAGE_MANIFEST = 'data/images.json';
+export const PROJECT_IMAGE_SIZES = '(max-width: 768px) 100vw, 50vw';
+export const CAROUSEL_IMAGE_SIZES = '(max-width: 768px) 100vw, 800px';
+
+export default {
+    name: 'images',
+    init() {
+        setupResponsiveImages();
+
+        // Preload the images in the first viewport once their variants are known, again for the project cards
+        App.imagesReady.then(preloadCriticalResources);
+
+        // Cards and the resume are in place, so their lazy images are seen too
+        on('rendered', () => {
+            preloadCriticalResources();
+            setupLazyImages();
+        });
+
+        return App.imagesReady;
+    }
+};
+
+function setupResponsiveImages() {
+    // Before `npm run images` there is no manifest and images keep their original src
+    App.imagesReady = fetch(IMAGE_MANIFEST)
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}))
+        .then(manifest => {
+            App.images = manifest;
+            document.querySelectorAll('picture[data-image]').forEach(picture => {
+                const image = picture.querySelector('img');
+                if (image) applyResponsiveImage(image, picture.dataset.image, picture.dataset.imageSizes);
+            });
+            return manifest;
+        });
+}
+
+// Point an <img> at the generated variants of an original image;
+// a <picture> parent also gets the AVIF and WebP sources
+export function applyResponsiveImage(image, src, sizes) {
+    const entry = App.images[src];
+    const picture = image.parentElement && image.parentElement.tagName === 'PICTURE' ? image.parentElement : null;
+
+    if (picture) {
+        picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+
+    if (!entry) {
+        image.removeAttribute('srcset');
+        image.removeAttribute('width');
+        image.removeAttribute('height');
+        image.classList.remove('has-placeholder');
+        image.style.removeProperty('background-image');
+        image.src = src;
+        return image;
+    }
+
+    if (picture) {
+        Object.entries(entry.srcset)
+            .filter(([type]) => type !== 'image/jpeg')
+            .forEach(([type, srcset]) => {
+                const source = document.createElement('source');
+                source.type = type;
+                source.srcset = srcset;
+                if (sizes) source.sizes = sizes;
+                picture.insertBefore(source, image);
+            });
+    }
+
+    // srcset before src, so the browser requests only the variant it picks
+    image.srcset = entry.srcset['image/jpeg'];
+    if (sizes) image.sizes = sizes;
+    image.src = entry.src;
+    image.width = entry.width;
+    image.height = entry.height;
+    image.classList.add('has-placeholder');
+    image.style.backgroundImage = `url("${entry.placeholder}")`;
+    return image;
+}
+
+// Preload Critical Resources
+// Preload the images that are actually above the fold, in the format the browser will pick
+const preloadedImages = new WeakSet();
+
+function preloadCriticalResources() {
+    try {
+        document.querySelectorAll('img').forEach(image => {
+            const rect = image.getBoundingClientRect();
+            const isAboveTheFold = rect.width > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+            if (!isAboveTheFold || image.complete || preloadedImages.has(image)) return;
+
+            preloadedImages.add(image);
+            image.loading = 'eager';
+            image.setAttribute('fetchpriority', 'high');
+
+            // The first <source> is the preferred format; browsers skip a preload whose type they can't decode
+            const source = image.parentElement.tagName === 'PICTURE' ? image.parentElement.querySelector('source') : null;
+            const candidate = source || image;
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            link.as = 'image';
+            link.setAttribute('fetchpriority', 'high');
+            if (source) link.type = source.type;
+            if (candidate.srcset) {
+                link.setAttribute('imagesrcset', candidate.srcset);
+                if (candidate.sizes) link.setAttribute('imagesizes', candidate.sizes);
+            } else {
+                link.href = image.src;
+            }
+            document.head.appendChild(link);
+        });
+
+    } catch (error) {
+        console.error("Resource preloading failed:", error);
+    }
+}
+
+// Enhanced Image Loading with Intersection Observer
+function setupLazyImages() {
+    if (!('IntersectionObserver' in window)) return;
+
+    try {
+        // Images with a blurred placeholder are never hidden; it shows until they load
+        const images = document.querySelectorAll('img[loading="lazy"]:not(.has-placeholder)');
+        const showImage = img => {
+            img.style.opacity = '1';
+        };
+
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    
+                    // Add fade-in effect; a cached image may have finished loading already
+                    if (img.complete) {
+                        showImage(img);
+                    } else {
+                        img.addEventListener('load', () => showImage(img), { once: true });
+                        img.addEventListener('error', () => showImage(img), { once: true });
+                    }
+                    
+                    imageObserver.unobserve(img);
+                }
+            });
+        });
+
+        images.forEach(img => {
+            if (img.complete) return;
+
+            img.style.opacity = '0';
+            img.style.transition = 'opacity 0.3s ease';
+            imageObserver.observe(img);
+        });
+
+    } catch (error) {
+        console.error("Lazy images setup failed:", error);
+    }
+}
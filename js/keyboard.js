@@ -0,0 +1,197 @@
+/* ========================================
+   KEYBOARD
+   Focus Styles, Shortcuts & Help
+======================================== */
+
+import { App, DOM } from './core.js';
+import { openDialog } from './dialogs.js';
+import { t } from './i18n.js';
+import { getNavHeight, goToSection, scrollToTarget } from './scroll.js';
+import { handleThemeToggle } from './theme.js';
+import { createElement, isTypingTarget, readStorage } from './utils.js';
+
+export default {
+    name: 'keyboard',
+    init: setupKeyboardNavigation
+};
+
+// Keyboard Navigation Enhancement
+function setupKeyboardNavigation() {
+    try {
+        // Skip to main content link
+        const skipLink = document.querySelector('.skip-nav');
+        if (skipLink) {
+            skipLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                const mainContent = document.getElementById('main-content');
+                if (mainContent) {
+                    mainContent.focus();
+                    mainContent.scrollIntoView({ behavior: 'smooth' });
+                }
+            });
+        }
+
+        // Enhanced focus management
+        document.addEventListener('keydown', (e) => {
+            // Tab key navigation enhancement
+            if (e.key === 'Tab') {
+                DOM.body.classList.add('keyboard-navigation');
+            }
+        });
+
+        // Remove keyboard navigation class on mouse use
+        document.addEventListener('mousedown', () => {
+            DOM.body.classList.remove('keyboard-navigation');
+        });
+
+        setupShortcuts();
+
+    } catch (error) {
+        console.error("Keyboard navigation setup failed:", error);
+    }
+}
+
+// Keyboard Shortcuts - single keys and "g a" style sequences, registered with
+// registerShortcut() so features can add their own. Descriptions are catalog keys.
+const SHORTCUTS_STORAGE_KEY = 'shortcuts';
+const SHORTCUT_SEQUENCE_TIMEOUT_MS = 1000;
+
+export const Shortcuts = {
+    bindings: [],
+    isEnabled: true,
+    pending: '',
+    pendingTimer: null
+};
+
+export function registerShortcut(keys, description, run) {
+    const sequence = keys.trim().split(/\s+/).join(' ');
+
+    if (Shortcuts.bindings.some(binding => binding.keys === sequence)) {
+        console.warn(`Shortcut "${sequence}" is already registered`);
+        return;
+    }
+    Shortcuts.bindings.push({ keys: sequence, description, run });
+}
+
+function setupShortcuts() {
+    Shortcuts.isEnabled = readStorage(SHORTCUTS_STORAGE_KEY) !== 'off';
+
+    registerShortcut('g a', 'shortcuts.goAbout', () => goToSection('#about'));
+    registerShortcut('g e', 'shortcuts.goExperience', () => goToSection('#experience'));
+    registerShortcut('g w', 'shortcuts.goWork', () => goToSection('#work'));
+    registerShortcut('g s', 'shortcuts.goSkills', () => goToSection('#skills'));
+    registerShortcut('g c', 'shortcuts.goContact', () => goToSection('#contact'));
+    registerShortcut('t', 'shortcuts.toggleTheme', handleThemeToggle);
+    registerShortcut('j', 'shortcuts.nextProject', () => focusProjectCard(1));
+    registerShortcut('k', 'shortcuts.previousProject', () => focusProjectCard(-1));
+    registerShortcut('?', 'shortcuts.showHelp', openShortcutsHelp);
+
+    document.addEventListener('keydown', handleShortcutKey);
+
+    const help = document.getElementById('shortcuts-dialog');
+    const toggle = help && help.querySelector('#shortcuts-enabled');
+    if (toggle) {
+        toggle.addEventListener('change', () => setShortcutsEnabled(toggle.checked));
+    }
+}
+
+function handleShortcutKey(e) {
+    // Never while typing, with modifiers, or while a dialog or the menu owns the keyboard
+    if (!Shortcuts.isEnabled || e.defaultPrevented) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    if (App.dialogs.length || App.isMobileMenuOpen) return;
+    if (e.key.length !== 1) return;
+
+    const pending = Shortcuts.pending;
+    clearTimeout(Shortcuts.pendingTimer);
+    Shortcuts.pending = '';
+
+    // A key that completes no sequence still counts on its own, e.g. "t" after "g"
+    if (pending && handleShortcutSequence(`${pending} ${e.key}`, e)) return;
+    handleShortcutSequence(e.key, e);
+}
+
+// Run the binding for `keys`, or wait for the next key if they start a sequence
+function handleShortcutSequence(keys, e) {
+    const binding = Shortcuts.bindings.find(item => item.keys === keys);
+    if (binding) {
+        e.preventDefault();
+        binding.run();
+        return true;
+    }
+
+    // The start of a sequence waits briefly for the next key
+    if (Shortcuts.bindings.some(item => item.keys.startsWith(`${keys} `))) {
+        e.preventDefault();
+        Shortcuts.pending = keys;
+        Shortcuts.pendingTimer = setTimeout(() => {
+            Shortcuts.pending = '';
+        }, SHORTCUT_SEQUENCE_TIMEOUT_MS);
+        return true;
+    }
+    return false;
+}
+
+export function setShortcutsEnabled(isEnabled) {
+    Shortcuts.isEnabled = isEnabled;
+
+    try {
+        if (isEnabled) {
+            localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+        } else {
+            localStorage.setItem(SHORTCUTS_STORAGE_KEY, 'off');
+        }
+    } catch (error) {
+        console.error("Failed to save shortcut preference:", error);
+    }
+}
+
+// Move focus to the next or previous project card, starting from the focused
+// card or, failing that, the first card below the navigation
+function focusProjectCard(direction) {
+    const cards = Array.from(DOM.projectGrid ? DOM.projectGrid.querySelectorAll('.project-card') : []);
+    if (!cards.length) return;
+
+    let index = cards.findIndex(card => card.contains(document.activeElement));
+    if (index === -1) {
+        const firstVisible = cards.findIndex(card => card.getBoundingClientRect().top >= getNavHeight());
+        index = direction > 0
+            ? (firstVisible === -1 ? cards.length : firstVisible) - 1
+            : (firstVisible === -1 ? cards.length : firstVisible);
+    }
+
+    const target = cards[Math.min(Math.max(index + direction, 0), cards.length - 1)];
+    const link = target.querySelector('.project-card-link') || target;
+
+    scrollToTarget(target);
+    link.focus({ preventScroll: true });
+}
+
+export function openShortcutsHelp() {
+    const help = document.getElementById('shortcuts-dialog');
+    if (!help) return;
+
+    renderShortcutsHelp(help);
+    openDialog(help);
+}
+
+// List every registered binding, sequences as "g then a"
+function renderShortcutsHelp(help) {
+    const rows = Shortcuts.bindings.map(binding => {
+        const row = createElement('div', 'shortcuts-row');
+        const keys = createElement('dt', 'shortcuts-keys');
+
+        binding.keys.split(' ').forEach((key, index) => {
+            if (index > 0) keys.appendChild(createElement('span', 'shortcuts-then', t('shortcuts.then')));
+            keys.appendChild(createElement('kbd', null, key));
+        });
+
+        row.append(keys, createElement('dd', 'shortcuts-description', t(binding.description)));
+        return row;
+    });
+
+    help.querySelector('.shortcuts-list').replaceChildren(...rows);
+
+    const toggle = help.querySelector('#shortcuts-enabled');
+    if (toggle) toggle.checked = Shortcuts.isEnabled;
+}
@@ -0,0 +1,74 @@
+/* ========================================
+   APPLE-STYLE PORTFOLIO - JAVASCRIPT
+   Entry Point & Built-in Plugins
+======================================== */
+
+// Order matters: plugins start in the order they are registered, and later ones
+// build on the state earlier ones set up (translations, image variants, projects).
+// Error reporting is not a plugin: it starts first, so it also sees init failing.
+
+import { config, isFeatureEnabled } from './config.js';
+import { Portfolio, start, use } from './core.js';
+import analytics from './analytics.js';
+import animations from './animations.js';
+import dialogs from './dialogs.js';
+import engagement from './engagement.js';
+import { installErrorReporting, reportError } from './errors.js';
+import forms from './forms.js';
+import github from './github.js';
+import i18n, { setLocale, t } from './i18n.js';
+import images from './images.js';
+import keyboard, { registerShortcut } from './keyboard.js';
+import menu from './menu.js';
+import motion from './motion.js';
+import palette from './palette.js';
+import performanceMonitoring from './performance.js';
+import projectDialog from './project-dialog.js';
+import projects from './projects.js';
+import resume from './resume.js';
+import scroll from './scroll.js';
+import serviceWorker from './service-worker.js';
+import theme from './theme.js';
+import writing from './writing.js';
+import { showToast } from './toast.js';
+import { Utils, createElement } from './utils.js';
+
+installErrorReporting();
+
+[
+    theme,
+    motion,
+    i18n,
+    menu,
+    images,
+    projects,
+    resume,
+    github,
+    writing,
+    dialogs,
+    projectDialog,
+    palette,
+    engagement,
+    performanceMonitoring,
+    scroll,
+    animations,
+    keyboard,
+    serviceWorker,
+    forms,
+    analytics
+].forEach(plugin => use(plugin));
+
+// Helpers for plugins that are not modules; those call window.Portfolio.use()
+Object.assign(Portfolio, {
+    t,
+    setLocale,
+    registerShortcut,
+    reportError,
+    showToast,
+    config,
+    isFeatureEnabled,
+    utils: { ...Utils, createElement }
+});
+window.Portfolio = Portfolio;
+
+start();
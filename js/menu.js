@@ -0,0 +1,200 @@
+/* ========================================
+   MOBILE MENU
+   Drawer, Touch Gestures, Focus Trap & Escape
+======================================== */
+
+import { App, DOM, emit } from './core.js';
+import { lockScroll, makeBackgroundInert, releaseBackgroundInert, releaseFocus, trapFocus, unlockScroll } from './dialogs.js';
+
+// The menu is a drawer on the inline-end side, next to the hamburger. On touch
+// screens it also opens with a swipe in from that edge and closes by dragging it
+// back; it follows the finger and snaps open or closed on release.
+const EDGE_SWIPE_WIDTH = 24;
+// px/ms; a flick faster than this snaps the way it went, however far it got
+const SNAP_VELOCITY = 0.4;
+// ms; a finger held still this long before lifting snaps by position instead
+const FLICK_MAX_PAUSE = 100;
+// Movement before a touch counts as a drag rather than a tap or a vertical scroll
+const DRAG_SLOP = 10;
+
+export default {
+    name: 'menu',
+    init: setupMobileMenu
+};
+
+// Mobile Menu with Enhanced Features
+function setupMobileMenu() {
+    const hamburgerBtn = DOM.hamburgerBtn;
+    const mobileMenu = DOM.mobileMenu;
+
+    if (!hamburgerBtn || !mobileMenu) {
+        console.warn("Mobile menu elements not found");
+        return;
+    }
+
+    try {
+        // Event listeners
+        hamburgerBtn.addEventListener('click', () => setMenuOpen(!App.isMobileMenuOpen));
+
+        // Close menu when clicking links
+        DOM.mobileNavLinks.forEach(link => {
+            link.addEventListener('click', () => setMenuOpen(false));
+        });
+
+        // Close menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && App.isMobileMenuOpen) {
+                setMenuOpen(false);
+            }
+        });
+
+        // Close menu from its close button or a click outside the drawer
+        mobileMenu.addEventListener('click', (e) => {
+            if (e.target === mobileMenu || e.target.closest('[data-mobile-menu-close]')) {
+                setMenuOpen(false);
+            }
+        });
+
+        setupDrawerGestures();
+
+    } catch (error) {
+        console.error("Mobile menu setup failed:", error);
+    }
+}
+
+function setMenuOpen(open) {
+    if (open === App.isMobileMenuOpen) return;
+
+    const hamburgerBtn = DOM.hamburgerBtn;
+    const mobileMenu = DOM.mobileMenu;
+    App.isMobileMenuOpen = open;
+
+    // Update ARIA attributes for accessibility
+    hamburgerBtn.setAttribute('aria-expanded', open.toString());
+    mobileMenu.setAttribute('aria-hidden', (!open).toString());
+
+    // The scroll position is read before mobile-menu-open fixes the body in place
+    if (open) {
+        lockScroll(mobileMenu);
+    }
+
+    // Toggle classes
+    hamburgerBtn.classList.toggle('is-active', open);
+    mobileMenu.classList.toggle('is-open', open);
+    DOM.body.classList.toggle('mobile-menu-open', open);
+
+    // The page behind stays put and out of reach while the menu is open;
+    // it is made interactive again before focus returns to the hamburger
+    if (open) {
+        makeBackgroundInert(mobileMenu);
+        trapFocus(mobileMenu);
+    } else {
+        releaseBackgroundInert(mobileMenu);
+        unlockScroll(mobileMenu);
+        releaseFocus(mobileMenu, hamburgerBtn);
+    }
+
+    emit(open ? 'menu:open' : 'menu:close');
+}
+
+// Drawer Gestures - touch events rather than pointer events, so a drag that turns
+// out to be vertical is still left to the browser to scroll
+function setupDrawerGestures() {
+    const mobileMenu = DOM.mobileMenu;
+    const panel = mobileMenu.querySelector('.mobile-menu-panel');
+    if (!panel) return;
+
+    let drag = null;
+
+    // +1 when the drawer is on the right (left-to-right pages), -1 on the left
+    const getSide = () => (DOM.html.dir === 'rtl' ? -1 : 1);
+
+    // Whether the menu is in use at this width; the hamburger is hidden on desktop
+    const isMenuAvailable = () => getComputedStyle(DOM.hamburgerBtn).display !== 'none';
+
+    function isAtEdge(x) {
+        return getSide() === 1 ? x >= window.innerWidth - EDGE_SWIPE_WIDTH : x <= EDGE_SWIPE_WIDTH;
+    }
+
+    document.addEventListener('touchstart', (e) => {
+        if (drag || e.touches.length !== 1) return;
+
+        const touch = e.touches[0];
+        const isOpening = !App.isMobileMenuOpen && isAtEdge(touch.clientX);
+        const isClosing = App.isMobileMenuOpen && mobileMenu.contains(e.target);
+        if (!isOpening && !isClosing) return;
+        if (isOpening && (!isMenuAvailable() || App.dialogs.length)) return;
+
+        const width = panel.offsetWidth;
+        drag = {
+            startX: touch.clientX,
+            startY: touch.clientY,
+            width,
+            // How far the panel is off screen: 0 open, its width closed
+            startDistance: isOpening ? width : 0,
+            distance: isOpening ? width : 0,
+            lastX: touch.clientX,
+            lastTime: e.timeStamp,
+            velocity: 0,
+            isDragging: false
+        };
+    }, { passive: true });
+
+    // Not passive: a horizontal drag must not also scroll or navigate back
+    document.addEventListener('touchmove', (e) => {
+        if (!drag) return;
+
+        const touch = e.touches[0];
+        const dx = touch.clientX - drag.startX;
+        const dy = touch.clientY - drag.startY;
+
+        if (!drag.isDragging) {
+            if (Math.abs(dx) < DRAG_SLOP && Math.abs(dy) < DRAG_SLOP) return;
+            // Mostly vertical: a scroll inside the menu, not a drag
+            if (Math.abs(dy) > Math.abs(dx)) {
+                drag = null;
+                return;
+            }
+            drag.isDragging = true;
+            mobileMenu.classList.add('is-dragging');
+        }
+
+        e.preventDefault();
+
+        const elapsed = e.timeStamp - drag.lastTime;
+        if (elapsed > 0) {
+            // Positive while moving towards closed
+            drag.velocity = ((touch.clientX - drag.lastX) * getSide()) / elapsed;
+        }
+        drag.lastX = touch.clientX;
+        drag.lastTime = e.timeStamp;
+
+        drag.distance = Math.min(drag.width, Math.max(0, drag.startDistance + dx * getSide()));
+        renderDrag(drag.distance, drag.width);
+    }, { passive: false });
+
+    function endDrag(e) {
+        if (!drag) return;
+
+        const { isDragging, distance, width, lastTime } = drag;
+        const velocity = e.timeStamp - lastTime > FLICK_MAX_PAUSE ? 0 : drag.velocity;
+        drag = null;
+        if (!isDragging) return;
+
+        // The transitions take over from where the finger left the drawer
+        mobileMenu.classList.remove('is-dragging');
+        panel.style.removeProperty('transform');
+        mobileMenu.style.removeProperty('--drawer-progress');
+
+        const shouldOpen = Math.abs(velocity) > SNAP_VELOCITY ? velocity < 0 : distance < width / 2;
+        setMenuOpen(shouldOpen);
+    }
+
+    document.addEventListener('touchend', endDrag);
+    document.addEventListener('touchcancel', endDrag);
+
+    function renderDrag(distance, width) {
+        panel.style.transform = `translateX(${distance * getSide()}px)`;
+        mobileMenu.style.setProperty('--drawer-progress', String(1 - distance / width));
+    }
+}
@@ -0,0 +1,86 @@
+/* ========================================
+   MOTION
+   Reduced Motion Preference & Toggle
+======================================== */
+
+import { App, DOM, emit } from './core.js';
+import { readStorage } from './utils.js';
+
+// Motion follows the OS setting, live, unless the visitor chose otherwise in the
+// theme menu. The result is App.isReducedMotion and data-motion="reduce|full" on
+// <html>, which the styles key off. The inline snippet in index.html mirrors these
+// constants for the first paint.
+const MOTION_STORAGE_KEY = 'motion';
+const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export default {
+    name: 'motion',
+    init: setupMotion,
+    // Turned off: the OS setting alone decides, even over a choice saved earlier
+    fallback() {
+        DOM.html.setAttribute('data-motion', App.isReducedMotion ? 'reduce' : 'full');
+
+        const toggle = document.getElementById('motion-reduce');
+        if (toggle) toggle.closest('fieldset').hidden = true;
+    }
+};
+
+function setupMotion() {
+    try {
+        const saved = readStorage(MOTION_STORAGE_KEY);
+        App.motionPreference = MOTION_PREFERENCES.includes(saved) ? saved : 'system';
+        applyMotion({ notify: false });
+
+        window.matchMedia(REDUCED_MOTION_QUERY).addEventListener('change', () => {
+            if (App.motionPreference === 'system') applyMotion();
+        });
+
+        const toggle = document.getElementById('motion-reduce');
+        if (toggle) {
+            toggle.addEventListener('change', () => {
+                setMotionPreference(toggle.checked ? 'reduce' : 'full');
+            });
+        }
+
+    } catch (error) {
+        console.error("Motion setup failed:", error);
+    }
+}
+
+// "reduce", "full" or "system"; a choice that matches the OS setting goes back to following it
+export function setMotionPreference(preference) {
+    try {
+        const systemReduces = window.matchMedia(REDUCED_MOTION_QUERY).matches;
+        const followsSystem = preference === 'system' || (preference === 'reduce') === systemReduces;
+
+        App.motionPreference = followsSystem ? 'system' : preference;
+        applyMotion();
+
+        if (followsSystem) {
+            localStorage.removeItem(MOTION_STORAGE_KEY);
+        } else {
+            localStorage.setItem(MOTION_STORAGE_KEY, preference);
+        }
+
+    } catch (error) {
+        console.error("Failed to set motion preference:", error);
+    }
+}
+
+function applyMotion(options = {}) {
+    const reduced = App.motionPreference === 'system'
+        ? window.matchMedia(REDUCED_MOTION_QUERY).matches
+        : App.motionPreference === 'reduce';
+    const hasChanged = reduced !== App.isReducedMotion;
+
+    App.isReducedMotion = reduced;
+    DOM.html.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+
+    const toggle = document.getElementById('motion-reduce');
+    if (toggle) toggle.checked = reduced;
+
+    if (hasChanged && options.notify !== false) {
+        emit('motion:change', { reduced, preference: App.motionPreference });
+    }
+}
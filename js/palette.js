@@ -0,0 +1,378 @@
+/* ========================================
+   COMMAND PALETTE
+   Fuzzy Search over Sections, Projects, Skills & Actions
+======================================== */
+
+import { App, DOM } from './core.js';
+import { closeDialog, openDialog } from './dialogs.js';
+import { t } from './i18n.js';
+import { Shortcuts, openShortcutsHelp, setShortcutsEnabled } from './keyboard.js';
+import { PROJECT_ROUTE_PREFIX } from './project-dialog.js';
+import { downloadVcard, printResume } from './resume.js';
+import { goToSection } from './scroll.js';
+import { handleThemeToggle } from './theme.js';
+import { showToast } from './toast.js';
+import { createElement, isTypingTarget } from './utils.js';
+import { POST_ROUTE_PREFIX } from './writing.js';
+
+// Command Palette - Ctrl/Cmd+K or "/" to search sections, projects, skills and actions
+const COMMAND_PALETTE_LIMIT = 50;
+
+const CommandPalette = {
+    commands: [],
+    results: [],
+    activeIndex: -1
+};
+
+export default {
+    name: 'palette',
+    init: setupCommandPalette,
+    // Turned off: no search button that opens nothing
+    fallback() {
+        document.querySelectorAll('[data-command-palette-open]').forEach(button => {
+            button.hidden = true;
+        });
+    }
+};
+
+function setupCommandPalette() {
+    const palette = document.getElementById('command-palette');
+    if (!palette) return;
+
+    DOM.commandPalette = palette;
+    DOM.commandInput = palette.querySelector('.command-palette-input');
+    DOM.commandList = palette.querySelector('.command-palette-list');
+
+    try {
+        document.addEventListener('keydown', (e) => {
+            const isShortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+            const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTypingTarget(e.target);
+
+            if (isShortcut) {
+                e.preventDefault();
+                if (isCommandPaletteOpen()) {
+                    closeDialog(palette);
+                } else {
+                    openCommandPalette();
+                }
+            } else if (isSlash && !App.dialogs.length) {
+                e.preventDefault();
+                openCommandPalette();
+            }
+        });
+
+        document.querySelectorAll('[data-command-palette-open]').forEach(button => {
+            button.addEventListener('click', () => openCommandPalette());
+        });
+
+        DOM.commandInput.addEventListener('input', updateCommandResults);
+        DOM.commandInput.addEventListener('keydown', handleCommandKeydown);
+
+        DOM.commandList.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) runCommand(Number(option.dataset.index));
+        });
+
+        DOM.commandList.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) setActiveCommand(Number(option.dataset.index), { scroll: false });
+        });
+
+    } catch (error) {
+        console.error("Command palette setup failed:", error);
+    }
+}
+
+function isCommandPaletteOpen() {
+    return App.dialogs.some(entry => entry.dialog === DOM.commandPalette);
+}
+
+
+function openCommandPalette() {
+    if (isCommandPaletteOpen()) return;
+
+    // Built on every open so projects, translations and the theme are current
+    CommandPalette.commands = buildCommands();
+    DOM.commandInput.value = '';
+    updateCommandResults();
+
+    openDialog(DOM.commandPalette, { initialFocus: DOM.commandInput });
+}
+
+function buildCommands() {
+    const commands = [];
+
+    DOM.spySections.forEach((section, index) => {
+        const link = document.querySelector(`.nav-link[href="#${section.id}"]`);
+        const heading = section.querySelector('h1, h2');
+        const label = index === 0
+            ? t('palette.home')
+            : (link || heading || section).textContent.trim();
+
+        commands.push({
+            group: 'sections',
+            label,
+            keywords: heading ? heading.textContent : '',
+            run: () => goToSection(`#${section.id}`)
+        });
+    });
+
+    App.projects.forEach(project => {
+        commands.push({
+            group: 'projects',
+            label: project.title,
+            keywords: `${project.description} ${project.tech.join(' ')}`,
+            run: () => {
+                window.location.hash = `${PROJECT_ROUTE_PREFIX.slice(1)}${project.id}`;
+            }
+        });
+    });
+
+    App.posts.forEach(post => {
+        commands.push({
+            group: 'posts',
+            label: post.title,
+            keywords: `${post.summary} ${post.tags.join(' ')}`,
+            run: () => {
+                window.location.hash = `${POST_ROUTE_PREFIX.slice(1)}${post.slug}`;
+            }
+        });
+    });
+
+    document.querySelectorAll('.skill-category').forEach(category => {
+        const title = category.querySelector('.category-title');
+        category.querySelectorAll('.skills-list li').forEach(skill => {
+            commands.push({
+                group: 'skills',
+                label: skill.textContent.trim(),
+                keywords: title ? title.textContent : '',
+                run: () => goToSection('#skills')
+            });
+        });
+    });
+
+    commands.push({
+        group: 'actions',
+        label: t('palette.toggleTheme'),
+        keywords: 'theme dark light mode',
+        run: handleThemeToggle
+    });
+
+    const resumeLink = document.querySelector('a[href$=".pdf"]');
+    if (resumeLink) {
+        commands.push({
+            group: 'actions',
+            label: t('palette.downloadResume'),
+            keywords: 'cv pdf',
+            run: () => resumeLink.click()
+        });
+    }
+
+    commands.push({
+        group: 'actions',
+        label: t('palette.downloadVcard'),
+        keywords: 'vcf contact address book',
+        run: downloadVcard
+    });
+
+    commands.push({
+        group: 'actions',
+        label: t('palette.printResume'),
+        keywords: 'cv pdf',
+        run: printResume
+    });
+
+    const email = DOM.body.querySelector('[data-mailto]');
+    if (email) {
+        commands.push({
+            group: 'actions',
+            label: t('palette.copyEmail'),
+            keywords: 'contact mail address',
+            run: () => copyEmail(email.dataset.mailto)
+        });
+    }
+
+    commands.push({
+        group: 'actions',
+        label: t('palette.showShortcuts'),
+        keywords: 'keyboard keys help',
+        run: openShortcutsHelp
+    });
+
+    commands.push({
+        group: 'actions',
+        label: t(Shortcuts.isEnabled ? 'palette.disableShortcuts' : 'palette.enableShortcuts'),
+        keywords: 'keyboard keys',
+        run: () => setShortcutsEnabled(!Shortcuts.isEnabled)
+    });
+
+    // Placeholder profile links ("#") are left out until they point somewhere
+    const github = document.querySelector('[data-profile="github"]');
+    if (github && github.getAttribute('href') !== '#') {
+        commands.push({
+            group: 'actions',
+            label: t('palette.openGitHub'),
+            keywords: 'source code profile',
+            run: () => github.click()
+        });
+    }
+
+    return commands;
+}
+
+async function copyEmail(address) {
+    try {
+        await navigator.clipboard.writeText(address);
+        showToast(t('palette.emailCopied', { email: address }), { duration: 3000 });
+    } catch (error) {
+        console.warn("Clipboard unavailable:", error);
+        showToast(t('palette.copyFailed', { email: address }));
+    }
+}
+
+function updateCommandResults() {
+    const query = DOM.commandInput.value.trim();
+
+    CommandPalette.results = CommandPalette.commands
+        .map(command => ({ command, match: matchCommand(query, command) }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, COMMAND_PALETTE_LIMIT);
+
+    renderCommandResults();
+    setActiveCommand(CommandPalette.results.length ? 0 : -1);
+}
+
+// Fuzzy match: every query character in order, rewarding runs and word starts.
+// The label is preferred; keywords only count when the label does not match.
+function matchCommand(query, command) {
+    if (!query) return { score: 0, indices: [] };
+
+    const labelMatch = fuzzyMatch(query, command.label);
+    if (labelMatch) return labelMatch;
+
+    const keywordMatch = fuzzyMatch(query, command.keywords || '');
+    return keywordMatch ? { score: keywordMatch.score / 2, indices: [] } : null;
+}
+
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let position = 0;
+
+    for (const character of needle) {
+        if (character === ' ') continue;
+
+        const found = haystack.indexOf(character, position);
+        if (found === -1) return null;
+
+        const isRun = indices.length && found === indices[indices.length - 1] + 1;
+        const isWordStart = found === 0 || /[\s\-_&]/.test(haystack[found - 1]);
+        score += 1 + (isRun ? 3 : 0) + (isWordStart ? 2 : 0);
+
+        indices.push(found);
+        position = found + 1;
+    }
+
+    // Shorter texts win ties, so "Work" beats "Web Automation Workflows"
+    return { score: score - haystack.length / 100, indices };
+}
+
+function renderCommandResults() {
+    const fragment = document.createDocumentFragment();
+
+    CommandPalette.results.forEach(({ command, match }, index) => {
+        const option = createElement('li', 'command-option');
+        option.id = `command-option-${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const label = createElement('span', 'command-option-label');
+        appendHighlighted(label, command.label, match.indices);
+        option.append(label, createElement('span', 'command-option-group', t(`palette.groups.${command.group}`)));
+        fragment.appendChild(option);
+    });
+
+    DOM.commandList.replaceChildren(fragment);
+
+    const empty = DOM.commandPalette.querySelector('.command-palette-empty');
+    if (empty) empty.hidden = CommandPalette.results.length > 0;
+
+    const status = DOM.commandPalette.querySelector('.command-palette-status');
+    if (status) status.textContent = t('palette.resultsCount', { count: CommandPalette.results.length });
+}
+
+// Wrap matched characters in <mark> without using innerHTML
+function appendHighlighted(element, text, indices) {
+    const matched = new Set(indices);
+    let buffer = '';
+    let isMarked = false;
+
+    const flush = () => {
+        if (!buffer) return;
+        element.appendChild(isMarked ? createElement('mark', null, buffer) : document.createTextNode(buffer));
+        buffer = '';
+    };
+
+    Array.from(text).forEach((character, index) => {
+        if (matched.has(index) !== isMarked) {
+            flush();
+            isMarked = matched.has(index);
+        }
+        buffer += character;
+    });
+    flush();
+}
+
+function setActiveCommand(index, options = {}) {
+    const optionElements = DOM.commandList.querySelectorAll('[role="option"]');
+    CommandPalette.activeIndex = index;
+
+    optionElements.forEach((option, optionIndex) => {
+        option.setAttribute('aria-selected', String(optionIndex === index));
+    });
+
+    const active = optionElements[index];
+    if (active) {
+        DOM.commandInput.setAttribute('aria-activedescendant', active.id);
+        if (options.scroll !== false) active.scrollIntoView({ block: 'nearest' });
+    } else {
+        DOM.commandInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+function handleCommandKeydown(e) {
+    const count = CommandPalette.results.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            if (count) setActiveCommand((CommandPalette.activeIndex + 1) % count);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            if (count) setActiveCommand((CommandPalette.activeIndex - 1 + count) % count);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (CommandPalette.activeIndex !== -1) runCommand(CommandPalette.activeIndex);
+            break;
+    }
+}
+
+// Close first, so focus is back on the page before the command moves it
+function runCommand(index) {
+    const result = CommandPalette.results[index];
+    if (!result) return;
+
+    closeDialog(DOM.commandPalette);
+
+    try {
+        result.command.run();
+    } catch (error) {
+        console.error("Command failed:", error);
+    }
+}
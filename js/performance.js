@@ -0,0 +1,370 @@
+/* ========================================
+   PERFORMANCE MONITORING
+   Core Web Vitals, Long Tasks & Image Timing
+======================================== */
+
+import { config } from './config.js';
+import { emit, on } from './core.js';
+import { createElement, describeElement } from './utils.js';
+
+// Performance Monitoring - Web Vitals measured with PerformanceObserver, sent as
+// analytics events when the page is hidden. Open the site with ?debug=perf to
+// watch the values live.
+const PERFORMANCE_CONFIG = config.performance;
+const DEBUG_PARAM = 'debug';
+const DEBUG_VALUE = 'perf';
+
+// [good, poor] boundaries, from web.dev
+const METRIC_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800]
+};
+
+const LONG_TASK_BUDGET_MS = 50;
+
+const Vitals = {
+    metrics: {},
+    reported: {},
+    longTasks: { count: 0, blockingTime: 0, longest: 0 },
+    reportedLongTasks: 0,
+    images: new Map(),
+    interactions: new Map(),
+    // Every interaction seen, for browsers without performance.interactionCount
+    interactionIds: new Set(),
+    lcpElement: null,
+    overlay: null,
+    overlayFrame: null
+};
+
+export default {
+    name: 'performance',
+    init: setupPerformanceMonitoring
+};
+
+function setupPerformanceMonitoring() {
+    if (!('PerformanceObserver' in window)) return;
+
+    try {
+        observeLargestContentfulPaint();
+        observeLayoutShifts();
+        observeInteractions();
+        observeLongTasks();
+        measureTimeToFirstByte();
+
+        // By then the cards are in place and the images have been preloaded or made lazy
+        on('rendered', measureWatchedImages);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') reportPerformance();
+        });
+        window.addEventListener('pagehide', reportPerformance);
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get(DEBUG_PARAM) === DEBUG_VALUE) {
+            createOverlay();
+        }
+
+    } catch (error) {
+        console.error("Performance monitoring setup failed:", error);
+    }
+}
+
+// Buffered, so entries from before this plugin started are seen too
+function observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return null;
+
+    const observer = new PerformanceObserver(list => {
+        try {
+            callback(list.getEntries());
+        } catch (error) {
+            console.error(`Performance entries "${type}" failed:`, error);
+        }
+    });
+    observer.observe({ type, buffered: true, ...options });
+    return observer;
+}
+
+// Prerendered pages start counting when they are shown
+function getActivationStart() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    return (navigation && navigation.activationStart) || 0;
+}
+
+function setMetric(name, value, attribution = {}) {
+    const [good, poor] = METRIC_THRESHOLDS[name];
+    const rating = value <= good ? 'good' : (value <= poor ? 'needs-improvement' : 'poor');
+
+    Vitals.metrics[name] = { value, rating, attribution };
+    scheduleOverlayUpdate();
+}
+
+// Largest Contentful Paint - the last candidate before the first input wins
+function observeLargestContentfulPaint() {
+    observe('largest-contentful-paint', entries => {
+        const entry = entries[entries.length - 1];
+        Vitals.lcpElement = entry.element || null;
+        setMetric('LCP', Math.max(entry.startTime - getActivationStart(), 0), {
+            element: entry.element ? describeElement(entry.element) : '',
+            url: entry.url || ''
+        });
+    });
+}
+
+// Cumulative Layout Shift - the worst burst of shifts less than 1s apart, 5s at most
+function observeLayoutShifts() {
+    let session = { value: 0, entries: [] };
+
+    const observer = observe('layout-shift', entries => {
+        entries.forEach(entry => {
+            if (entry.hadRecentInput) return;
+
+            const first = session.entries[0];
+            const last = session.entries[session.entries.length - 1];
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                session.value += entry.value;
+                session.entries.push(entry);
+            } else {
+                session = { value: entry.value, entries: [entry] };
+            }
+
+            if (session.value > (Vitals.metrics.CLS ? Vitals.metrics.CLS.value : 0)) {
+                const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+                const source = (largest.sources || []).find(item => item.node instanceof Element);
+                setMetric('CLS', session.value, { element: source ? describeElement(source.node) : '' });
+            }
+        });
+    });
+
+    // No shift at all is a perfect score, not a missing one
+    if (observer && !Vitals.metrics.CLS) setMetric('CLS', 0);
+}
+
+// Interaction to Next Paint - the slowest interaction, ignoring one in every 50 as an outlier
+function observeInteractions() {
+    const handleEntries = entries => {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+            Vitals.interactionIds.add(entry.interactionId);
+
+            const interaction = Vitals.interactions.get(entry.interactionId);
+            if (!interaction || entry.duration > interaction.duration) {
+                Vitals.interactions.set(entry.interactionId, {
+                    duration: entry.duration,
+                    type: entry.name,
+                    element: entry.target ? describeElement(entry.target) : ''
+                });
+            }
+        });
+
+        // Only the slowest few can ever count, so only those are kept
+        const slowest = Array.from(Vitals.interactions).sort(([, a], [, b]) => b.duration - a.duration);
+        Vitals.interactions = new Map(slowest.slice(0, 10));
+
+        const interactionCount = performance.interactionCount || Vitals.interactionIds.size;
+        const [, worst] = slowest[Math.min(slowest.length - 1, Math.floor(interactionCount / 50))] || [];
+
+        if (worst) {
+            setMetric('INP', worst.duration, { element: worst.element, type: worst.type });
+        }
+    };
+
+    observe('event', handleEntries, { durationThreshold: PERFORMANCE_CONFIG.eventDurationThreshold });
+    observe('first-input', handleEntries);
+}
+
+// Long Tasks - anything over 50ms blocks input; the time past 50ms is the blocking time
+function observeLongTasks() {
+    observe('longtask', entries => {
+        entries.forEach(entry => {
+            Vitals.longTasks.count++;
+            Vitals.longTasks.blockingTime += Math.max(entry.duration - LONG_TASK_BUDGET_MS, 0);
+            Vitals.longTasks.longest = Math.max(Vitals.longTasks.longest, entry.duration);
+        });
+        scheduleOverlayUpdate();
+    });
+}
+
+// Time to First Byte, with where the time went
+function measureTimeToFirstByte() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (!navigation || !navigation.responseStart) return;
+
+    setMetric('TTFB', Math.max(navigation.responseStart - getActivationStart(), 0), {
+        dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+        connection: Math.round(navigation.connectEnd - navigation.connectStart),
+        request: Math.round(navigation.responseStart - navigation.requestStart)
+    });
+}
+
+// Image Timing - when the hero and about images arrived, and whether they were preloaded
+function measureWatchedImages() {
+    document.querySelectorAll(PERFORMANCE_CONFIG.watchedImages).forEach(image => {
+        if (image.complete) {
+            measureImage(image);
+        } else {
+            image.addEventListener('load', () => measureImage(image), { once: true });
+        }
+    });
+}
+
+function measureImage(image) {
+    const url = image.currentSrc || image.src;
+    if (!url) return;
+
+    const entries = performance.getEntriesByName(new URL(url, window.location.href).href, 'resource');
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+
+    Vitals.images.set(describeElement(image), {
+        url: entry.name,
+        start: entry.startTime,
+        duration: entry.responseEnd - entry.startTime,
+        responseEnd: entry.responseEnd,
+        // "link" when a <link rel="preload"> fetched it before the <img> asked
+        preloaded: entry.initiatorType === 'link',
+        fetchPriority: image.getAttribute('fetchpriority') || 'auto',
+        loading: image.loading || 'eager',
+        fromCache: entry.transferSize === 0 && entry.decodedBodySize > 0
+    });
+    scheduleOverlayUpdate();
+}
+
+// Reporting - every value that changed since the page was last hidden
+function reportPerformance() {
+    try {
+        Object.entries(Vitals.metrics).forEach(([name, metric]) => {
+            if (Vitals.reported[name] === metric.value) return;
+            Vitals.reported[name] = metric.value;
+
+            const parameters = {
+                metric_name: name,
+                metric_value: name === 'CLS' ? Number(metric.value.toFixed(4)) : Math.round(metric.value),
+                metric_rating: metric.rating
+            };
+            Object.entries(metric.attribution).forEach(([key, value]) => {
+                if (value !== '') parameters[`metric_${key}`] = value;
+            });
+            emit('track', { name: 'web_vitals', parameters, options: { beacon: true } });
+        });
+
+        if (Vitals.longTasks.count > Vitals.reportedLongTasks) {
+            Vitals.reportedLongTasks = Vitals.longTasks.count;
+            emit('track', {
+                name: 'long_tasks',
+                parameters: {
+                    count: Vitals.longTasks.count,
+                    blocking_ms: Math.round(Vitals.longTasks.blockingTime),
+                    longest_ms: Math.round(Vitals.longTasks.longest)
+                },
+                options: { beacon: true }
+            });
+        }
+
+        Vitals.images.forEach((timing, element) => {
+            if (timing.isReported) return;
+            timing.isReported = true;
+
+            emit('track', {
+                name: 'image_timing',
+                parameters: {
+                    element,
+                    url: timing.url,
+                    duration_ms: Math.round(timing.duration),
+                    response_end_ms: Math.round(timing.responseEnd),
+                    preloaded: timing.preloaded,
+                    fetch_priority: timing.fetchPriority,
+                    loading: timing.loading,
+                    is_lcp: isLcpImage(timing)
+                },
+                options: { beacon: true }
+            });
+        });
+
+    } catch (error) {
+        console.error("Performance report failed:", error);
+    }
+}
+
+function isLcpImage(timing) {
+    return Boolean(Vitals.metrics.LCP && Vitals.metrics.LCP.attribution.url === timing.url);
+}
+
+// Debug Overlay - ?debug=perf; for developers, so it is not translated
+function createOverlay() {
+    const overlay = createElement('aside', 'perf-overlay');
+    overlay.setAttribute('aria-label', 'Performance');
+    overlay.lang = 'en';
+    overlay.dir = 'ltr';
+
+    const header = createElement('div', 'perf-overlay-header');
+    const close = createElement('button', 'perf-overlay-close', '×');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Close performance overlay');
+    close.addEventListener('click', () => {
+        overlay.remove();
+        Vitals.overlay = null;
+        document.querySelectorAll('.perf-lcp-element').forEach(element => element.classList.remove('perf-lcp-element'));
+    });
+    header.append(createElement('strong', '', 'Performance'), close);
+
+    overlay.append(header, createElement('dl', 'perf-overlay-metrics'), createElement('ul', 'perf-overlay-images'));
+    document.body.appendChild(overlay);
+    Vitals.overlay = overlay;
+    renderOverlay();
+}
+
+function scheduleOverlayUpdate() {
+    if (!Vitals.overlay || Vitals.overlayFrame) return;
+
+    Vitals.overlayFrame = requestAnimationFrame(() => {
+        Vitals.overlayFrame = null;
+        renderOverlay();
+    });
+}
+
+function renderOverlay() {
+    if (!Vitals.overlay) return;
+
+    const rows = ['LCP', 'CLS', 'INP', 'TTFB'].map(name => {
+        const metric = Vitals.metrics[name];
+        const value = createElement('dd', 'perf-overlay-value', metric ? formatMetric(name, metric.value) : '–');
+        if (metric) {
+            value.dataset.rating = metric.rating;
+            const element = metric.attribution.element || metric.attribution.url;
+            if (element) value.title = element;
+        }
+        return [createElement('dt', '', name), value];
+    });
+
+    const { count, blockingTime, longest } = Vitals.longTasks;
+    rows.push([
+        createElement('dt', '', 'Long tasks'),
+        createElement('dd', 'perf-overlay-value', count ? `${count} · ${Math.round(blockingTime)} ms blocking · ${Math.round(longest)} ms max` : '0')
+    ]);
+
+    Vitals.overlay.querySelector('.perf-overlay-metrics').replaceChildren(...rows.flat());
+    Vitals.overlay.querySelector('.perf-overlay-images').replaceChildren(...Array.from(Vitals.images, ([element, timing]) => {
+        const flags = [
+            timing.preloaded ? 'preloaded' : '',
+            timing.fetchPriority !== 'auto' ? `${timing.fetchPriority} priority` : '',
+            timing.loading === 'lazy' ? 'lazy' : '',
+            timing.fromCache ? 'cached' : '',
+            isLcpImage(timing) ? 'LCP' : ''
+        ].filter(Boolean);
+
+        return createElement('li', '', `${element}: done at ${Math.round(timing.responseEnd)} ms (${Math.round(timing.duration)} ms)${flags.length ? ` · ${flags.join(', ')}` : ''}`);
+    }));
+
+    // The LCP element is outlined, so it is easy to spot on the page
+    document.querySelectorAll('.perf-lcp-element').forEach(element => element.classList.remove('perf-lcp-element'));
+    if (Vitals.lcpElement && Vitals.lcpElement.isConnected) {
+        Vitals.lcpElement.classList.add('perf-lcp-element');
+    }
+}
+
+function formatMetric(name, value) {
+    return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
@@ -0,0 +1,192 @@
+/* ========================================
+   PROJECT CASE STUDIES
+   Routed Dialog & Image Carousel
+======================================== */
+
+import { App, DOM } from './core.js';
+import { closeDialog, openDialog } from './dialogs.js';
+import { setTranslatedAttribute, setTranslatedText } from './i18n.js';
+import { CAROUSEL_IMAGE_SIZES, applyResponsiveImage } from './images.js';
+import { createElement } from './utils.js';
+
+// Project Case Studies - a dialog per project, routed through #work/<project-id>
+export const PROJECT_ROUTE_PREFIX = '#work/';
+
+// Needs the projects plugin registered before it, for App.projectsReady
+export default {
+    name: 'project-dialog',
+    init: setupProjectDialog
+};
+
+function setupProjectDialog() {
+    const dialog = document.getElementById('project-dialog');
+    if (!dialog || !DOM.projectGrid) {
+        console.warn("Project dialog elements not found");
+        return;
+    }
+
+    DOM.projectDialog = dialog;
+
+    try {
+        // Open from anywhere on a card except its live/source links
+        DOM.projectGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.project-card');
+            if (!card || e.target.closest('.project-link')) return;
+
+            const cardLink = card.querySelector('.project-card-link');
+            App.projectDialog.opener = cardLink || card;
+
+            if (!e.target.closest('.project-card-link')) {
+                window.location.hash = `${PROJECT_ROUTE_PREFIX.slice(1)}${card.dataset.projectId}`;
+            }
+        });
+
+        dialog.querySelector('.carousel-prev').addEventListener('click', () => showProjectSlide(App.projectDialog.slideIndex - 1));
+        dialog.querySelector('.carousel-next').addEventListener('click', () => showProjectSlide(App.projectDialog.slideIndex + 1));
+        dialog.querySelector('.project-carousel').addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+            // "Previous" sits on the right in right-to-left layouts
+            const forward = (e.key === 'ArrowRight') === (DOM.html.dir !== 'rtl');
+            showProjectSlide(App.projectDialog.slideIndex + (forward ? 1 : -1));
+        });
+
+        window.addEventListener('hashchange', () => handleProjectRoute(true));
+        App.projectsReady.then(() => handleProjectRoute(false));
+
+    } catch (error) {
+        console.error("Project dialog setup failed:", error);
+    }
+}
+
+// Open or close the case study to match the current hash
+function handleProjectRoute(fromHistory) {
+    try {
+        const hash = window.location.hash;
+        const projectId = hash.startsWith(PROJECT_ROUTE_PREFIX)
+            ? decodeURIComponent(hash.slice(PROJECT_ROUTE_PREFIX.length))
+            : null;
+        const project = App.projects.find(item => item.id === projectId);
+
+        if (project) {
+            if (App.projectDialog.projectId !== project.id) {
+                openProjectDialog(project, fromHistory);
+            }
+        } else if (App.projectDialog.projectId) {
+            closeDialog(DOM.projectDialog);
+        }
+    } catch (error) {
+        console.error("Project route failed:", error);
+    }
+}
+
+function openProjectDialog(project, fromHistory) {
+    const dialog = DOM.projectDialog;
+    const isSwitching = Boolean(App.projectDialog.projectId);
+
+    App.projectDialog.projectId = project.id;
+    App.projectDialog.openedFromHistory = fromHistory;
+    renderProjectDialog(project);
+
+    if (isSwitching) return;
+
+    // Deep links have no opener yet, fall back to the card in the grid
+    const card = Array.from(DOM.projectGrid.querySelectorAll('.project-card'))
+        .find(item => item.dataset.projectId === project.id);
+    const opener = App.projectDialog.opener || (card && card.querySelector('.project-card-link'));
+
+    openDialog(dialog, {
+        opener,
+        initialFocus: dialog.querySelector('.dialog-close'),
+        onRequestClose: requestProjectDialogClose,
+        onClose: () => {
+            App.projectDialog.projectId = null;
+            App.projectDialog.opener = null;
+        }
+    });
+}
+
+// Closing goes through history so the back button and the close button agree
+function requestProjectDialogClose() {
+    if (App.projectDialog.openedFromHistory) {
+        history.back();
+        return;
+    }
+
+    const url = new URL(window.location.href);
+    url.hash = 'work';
+    history.replaceState(history.state, '', url);
+    closeDialog(DOM.projectDialog);
+}
+
+function renderProjectDialog(project) {
+    const dialog = DOM.projectDialog;
+
+    dialog.querySelector('.dialog-title').textContent = project.title;
+
+    const tech = dialog.querySelector('.dialog-tech');
+    tech.replaceChildren(...project.tech.map(tag => createElement('span', 'tech-tag', tag)));
+
+    const paragraphs = project.details.length ? project.details : [project.description];
+    dialog.querySelector('.dialog-description')
+        .replaceChildren(...paragraphs.filter(Boolean).map(text => createElement('p', 'dialog-paragraph', text)));
+
+    const links = dialog.querySelector('.dialog-links');
+    links.replaceChildren();
+    if (project.liveUrl) {
+        links.appendChild(createExternalButton(project.liveUrl, 'work.viewLive', 'btn btn-primary'));
+    }
+    if (project.sourceUrl) {
+        links.appendChild(createExternalButton(project.sourceUrl, 'work.viewSource', 'btn btn-secondary'));
+    }
+    links.hidden = !links.children.length;
+
+    App.projectDialog.slideIndex = 0;
+    showProjectSlide(0);
+}
+
+function createExternalButton(url, key, className) {
+    const anchor = createElement('a', className);
+    setTranslatedText(anchor, key);
+    anchor.href = url;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    return anchor;
+}
+
+// Image Carousel inside the case study
+function showProjectSlide(index) {
+    const project = App.projects.find(item => item.id === App.projectDialog.projectId);
+    if (!project) return;
+
+    const dialog = DOM.projectDialog;
+    const carousel = dialog.querySelector('.project-carousel');
+    const slides = project.gallery;
+
+    carousel.hidden = !slides.length;
+    if (!slides.length) return;
+
+    const slideIndex = (index + slides.length) % slides.length;
+    const slide = slides[slideIndex];
+    const image = carousel.querySelector('.carousel-image');
+
+    App.projectDialog.slideIndex = slideIndex;
+    applyResponsiveImage(image, slide.src, CAROUSEL_IMAGE_SIZES);
+    if (slide.alt) {
+        image.removeAttribute('data-i18n-attr');
+        image.alt = slide.alt;
+    } else {
+        setTranslatedAttribute(image, 'alt', 'work.screenshotAlt', { title: project.title });
+    }
+
+    carousel.querySelectorAll('.carousel-btn').forEach(button => {
+        button.hidden = slides.length < 2;
+    });
+    const status = carousel.querySelector('.carousel-status');
+    if (slides.length > 1) {
+        setTranslatedText(status, 'work.imageStatus', { index: slideIndex + 1, count: slides.length });
+    } else {
+        delete status.dataset.i18n;
+        status.textContent = '';
+    }
+}
@@ -0,0 +1,398 @@
+/* ========================================
+   PROJECTS
+   Gallery, Filters, Search & Sorting
+======================================== */
+
+import { App, DOM } from './core.js';
+import { setTranslatedAttribute, setTranslatedText } from './i18n.js';
+import { PROJECT_IMAGE_SIZES, applyResponsiveImage } from './images.js';
+import { PROJECT_ROUTE_PREFIX } from './project-dialog.js';
+import { Utils, createElement, sanitizeUrl } from './utils.js';
+
+// Project Gallery - cards are built from the projects manifest
+const PROJECTS_MANIFEST = 'data/projects.json';
+
+const PROJECT_ICONS = {
+    live: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle></svg>',
+    source: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"></path></svg>'
+};
+
+export default {
+    name: 'projects',
+    init() {
+        setupProjects();
+        setupProjectBrowser();
+        return App.projectsReady;
+    }
+};
+
+function setupProjects() {
+    const grid = DOM.projectGrid;
+    if (!grid) {
+        console.warn("Project grid not found");
+        return;
+    }
+
+    // Cards carry translated labels and responsive images, so they wait for both manifests
+    App.projectsReady = Promise.all([loadProjects(), App.i18nReady, App.imagesReady])
+        .then(([projects]) => {
+            App.projects = projects;
+            renderProjects(grid, projects.filter(project => project.featured));
+            return projects;
+        })
+        .catch(error => {
+            console.error("Project gallery setup failed:", error);
+            renderProjectsMessage(grid, 'work.loadError');
+            return [];
+        })
+        .finally(() => {
+            grid.setAttribute('aria-busy', 'false');
+        });
+}
+
+// Load and normalize the projects manifest
+async function loadProjects() {
+    const response = await fetch(PROJECTS_MANIFEST);
+    if (!response.ok) {
+        throw new Error(`Projects manifest request failed with status ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    const projects = Array.isArray(manifest.projects) ? manifest.projects : [];
+
+    return projects
+        .filter(project => {
+            const isValid = project && project.id && project.title;
+            if (!isValid) {
+                console.warn("Skipping project without an id or title:", project);
+            }
+            return isValid;
+        })
+        .map(project => ({
+            id: String(project.id),
+            title: String(project.title),
+            description: project.description || '',
+            details: Array.isArray(project.details) ? project.details.map(String) : [],
+            tech: Array.isArray(project.tech) ? project.tech.map(String) : [],
+            image: project.image && project.image.src ? project.image : null,
+            gallery: Array.isArray(project.gallery)
+                ? project.gallery.filter(slide => slide && slide.src)
+                : (project.image && project.image.src ? [project.image] : []),
+            liveUrl: sanitizeUrl(project.liveUrl),
+            sourceUrl: sanitizeUrl(project.sourceUrl),
+            repo: project.repo ? String(project.repo) : '',
+            date: project.date || '',
+            featured: Boolean(project.featured)
+        }));
+}
+
+// Render project cards into a container, the first one as the large card
+function renderProjects(container, projects) {
+    const fragment = document.createDocumentFragment();
+
+    projects.forEach((project, index) => {
+        fragment.appendChild(createProjectCard(project, { large: index === 0 }));
+    });
+
+    container.replaceChildren(fragment);
+}
+
+function renderProjectsMessage(container, key) {
+    const message = createElement('p', 'project-grid-message');
+    setTranslatedText(message, key);
+    container.replaceChildren(message);
+}
+
+function createProjectCard(project, options = {}) {
+    const card = createElement('article', options.large ? 'project-card large' : 'project-card');
+    card.dataset.projectId = project.id;
+
+    if (project.image) {
+        const imageWrapper = createElement('div', 'project-image-wrapper');
+        const picture = createElement('picture');
+        const image = createElement('img', 'project-image');
+        if (project.image.alt) {
+            image.alt = project.image.alt;
+        } else {
+            setTranslatedAttribute(image, 'alt', 'work.screenshotAlt', { title: project.title });
+        }
+        image.setAttribute('loading', 'lazy');
+        picture.appendChild(image);
+        applyResponsiveImage(image, project.image.src, PROJECT_IMAGE_SIZES);
+        imageWrapper.appendChild(picture);
+        card.appendChild(imageWrapper);
+    }
+
+    const info = createElement('div', 'project-info');
+    const title = createElement('h3', 'project-title');
+    const titleLink = createElement('a', 'project-card-link', project.title);
+    titleLink.href = `${PROJECT_ROUTE_PREFIX}${encodeURIComponent(project.id)}`;
+    title.appendChild(titleLink);
+    info.appendChild(title);
+    if (project.description) {
+        info.appendChild(createElement('p', 'project-description', project.description));
+    }
+    if (project.tech.length) {
+        const tech = createElement('div', 'project-tech');
+        tech.dataset.animate = 'scale';
+        tech.dataset.stagger = '40';
+        project.tech.forEach(tag => tech.appendChild(createElement('span', 'tech-tag', tag)));
+        info.appendChild(tech);
+    }
+    card.appendChild(info);
+
+    const links = [
+        { url: project.liveUrl, icon: PROJECT_ICONS.live, label: 'work.liveLabel' },
+        { url: project.sourceUrl, icon: PROJECT_ICONS.source, label: 'work.sourceLabel' }
+    ].filter(link => link.url);
+
+    // Cards without any URL skip the overlay instead of showing dead links
+    if (links.length) {
+        const overlay = createElement('div', 'project-overlay');
+        const linkList = createElement('div', 'project-links');
+
+        links.forEach(link => {
+            const anchor = createElement('a', 'project-link');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            setTranslatedAttribute(anchor, 'aria-label', link.label, { title: project.title });
+            anchor.innerHTML = link.icon;
+            linkList.appendChild(anchor);
+        });
+
+        overlay.appendChild(linkList);
+        card.appendChild(overlay);
+    }
+
+    return card;
+}
+
+// Rebuild the rendered cards of a project that changed, e.g. a source link found on GitHub
+export function refreshProjectCard(project) {
+    document.querySelectorAll('.project-card').forEach(card => {
+        if (card.dataset.projectId !== project.id) return;
+        card.replaceWith(createProjectCard(project, { large: card.classList.contains('large') }));
+    });
+}
+
+// Project Browser - "View All Projects" with tech-tag facets, search and sorting
+const PROJECT_BROWSER_PARAMS = {
+    view: 'view',
+    tags: 'tags',
+    query: 'q',
+    sort: 'sort'
+};
+const PROJECT_TRANSITION_MS = 300;
+let projectRenderToken = 0;
+
+function setupProjectBrowser() {
+    const browser = document.getElementById('project-browser');
+    const toggleBtn = document.getElementById('view-all-projects');
+    const searchInput = document.getElementById('project-search-input');
+    const sortSelect = document.getElementById('project-sort-select');
+
+    if (!browser || !toggleBtn || !searchInput || !sortSelect || !DOM.projectGrid) {
+        console.warn("Project browser elements not found");
+        return;
+    }
+
+    DOM.projectBrowser = browser;
+    DOM.projectBrowserToggle = toggleBtn;
+    DOM.projectFilters = browser.querySelector('.project-filters');
+    DOM.projectResultsCount = browser.querySelector('.project-results-count');
+
+    try {
+        toggleBtn.addEventListener('click', () => {
+            if (App.projectBrowser.isOpen) {
+                closeProjectBrowser();
+            } else {
+                openProjectBrowser();
+                searchInput.focus();
+            }
+        });
+
+        searchInput.addEventListener('input', Utils.debounce(() => {
+            App.projectBrowser.query = searchInput.value.trim();
+            updateProjectBrowser();
+        }, 150));
+
+        sortSelect.addEventListener('change', () => {
+            App.projectBrowser.sort = sortSelect.value;
+            updateProjectBrowser();
+        });
+
+        App.projectsReady.then(projects => {
+            if (!projects.length) {
+                toggleBtn.hidden = true;
+                return;
+            }
+
+            renderFilterChips(projects);
+
+            // Restore a shared filtered view from the query string
+            const params = new URLSearchParams(window.location.search);
+            if (params.get(PROJECT_BROWSER_PARAMS.view) === 'all') {
+                const tags = (params.get(PROJECT_BROWSER_PARAMS.tags) || '').split(',').filter(Boolean);
+                const sort = params.get(PROJECT_BROWSER_PARAMS.sort);
+
+                App.projectBrowser.tags = new Set(tags);
+                App.projectBrowser.query = params.get(PROJECT_BROWSER_PARAMS.query) || '';
+                App.projectBrowser.sort = sort === 'oldest' ? 'oldest' : 'newest';
+
+                searchInput.value = App.projectBrowser.query;
+                sortSelect.value = App.projectBrowser.sort;
+                syncFilterChips();
+                openProjectBrowser();
+            }
+        });
+
+    } catch (error) {
+        console.error("Project browser setup failed:", error);
+    }
+}
+
+function openProjectBrowser() {
+    App.projectBrowser.isOpen = true;
+    DOM.projectBrowser.hidden = false;
+    DOM.projectBrowserToggle.setAttribute('aria-expanded', 'true');
+    setTranslatedText(DOM.projectBrowserToggle, 'work.showFeatured');
+    updateProjectBrowser();
+}
+
+function closeProjectBrowser() {
+    App.projectBrowser.isOpen = false;
+    DOM.projectBrowser.hidden = true;
+    DOM.projectBrowserToggle.setAttribute('aria-expanded', 'false');
+    setTranslatedText(DOM.projectBrowserToggle, 'work.viewAll');
+    writeProjectBrowserParams();
+    transitionProjects(App.projects.filter(project => project.featured), { featured: true });
+}
+
+// Build one toggle chip per tech tag, most used first
+function renderFilterChips(projects) {
+    const counts = new Map();
+    projects.forEach(project => {
+        project.tech.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    const tags = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    const fragment = document.createDocumentFragment();
+
+    tags.forEach(tag => {
+        const chip = createElement('button', 'tech-tag filter-chip', tag);
+        chip.type = 'button';
+        chip.dataset.tag = tag;
+        chip.setAttribute('aria-pressed', 'false');
+        chip.addEventListener('click', () => {
+            if (App.projectBrowser.tags.has(tag)) {
+                App.projectBrowser.tags.delete(tag);
+            } else {
+                App.projectBrowser.tags.add(tag);
+            }
+            syncFilterChips();
+            updateProjectBrowser();
+        });
+        fragment.appendChild(chip);
+    });
+
+    DOM.projectFilters.replaceChildren(fragment);
+}
+
+function syncFilterChips() {
+    DOM.projectFilters.querySelectorAll('.filter-chip').forEach(chip => {
+        chip.setAttribute('aria-pressed', App.projectBrowser.tags.has(chip.dataset.tag).toString());
+    });
+}
+
+// Projects matching every selected tag and every search word, sorted by date
+function getFilteredProjects() {
+    const { tags, query, sort } = App.projectBrowser;
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const direction = sort === 'oldest' ? 1 : -1;
+
+    return App.projects
+        .filter(project => Array.from(tags).every(tag => project.tech.includes(tag)))
+        .filter(project => {
+            const haystack = `${project.title} ${project.description}`.toLowerCase();
+            return words.every(word => haystack.includes(word));
+        })
+        .sort((a, b) => direction * ((Date.parse(a.date) || 0) - (Date.parse(b.date) || 0)));
+}
+
+function updateProjectBrowser() {
+    if (!App.projectBrowser.isOpen) return;
+
+    const results = getFilteredProjects();
+    const total = App.projects.length;
+
+    if (results.length) {
+        setTranslatedText(DOM.projectResultsCount, 'work.resultsCount', { shown: results.length, count: total });
+    } else {
+        setTranslatedText(DOM.projectResultsCount, 'work.noMatches');
+    }
+
+    writeProjectBrowserParams();
+    transitionProjects(results, { featured: false });
+}
+
+// Mirror the browser state in the query string so a view can be shared
+function writeProjectBrowserParams() {
+    try {
+        const url = new URL(window.location.href);
+        const { isOpen, tags, query, sort } = App.projectBrowser;
+
+        Object.values(PROJECT_BROWSER_PARAMS).forEach(param => url.searchParams.delete(param));
+
+        if (isOpen) {
+            url.searchParams.set(PROJECT_BROWSER_PARAMS.view, 'all');
+            if (tags.size) url.searchParams.set(PROJECT_BROWSER_PARAMS.tags, Array.from(tags).join(','));
+            if (query) url.searchParams.set(PROJECT_BROWSER_PARAMS.query, query);
+            if (sort !== 'newest') url.searchParams.set(PROJECT_BROWSER_PARAMS.sort, sort);
+        }
+
+        history.replaceState(history.state, '', url);
+    } catch (error) {
+        console.error("Project browser URL update failed:", error);
+    }
+}
+
+// Swap the rendered cards, fading the old ones out unless motion is reduced
+function transitionProjects(projects, options) {
+    const grid = DOM.projectGrid;
+    const token = ++projectRenderToken;
+
+    const render = () => {
+        if (token !== projectRenderToken) return;
+
+        if (!projects.length) {
+            renderProjectsMessage(grid, 'work.noMatches');
+            return;
+        }
+
+        if (options.featured) {
+            renderProjects(grid, projects);
+        } else {
+            grid.replaceChildren(...projects.map(project => createProjectCard(project)));
+        }
+
+        if (App.isReducedMotion) return;
+
+        const cards = Array.from(grid.querySelectorAll('.project-card'));
+        cards.forEach(card => card.classList.add('is-entering'));
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                cards.forEach(card => card.classList.remove('is-entering'));
+            });
+        });
+    };
+
+    const currentCards = grid.querySelectorAll('.project-card');
+    if (App.isReducedMotion || !currentCards.length) {
+        render();
+        return;
+    }
+
+    currentCards.forEach(card => card.classList.add('is-leaving'));
+    setTimeout(render, PROJECT_TRANSITION_MS);
+}
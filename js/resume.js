@@ -0,0 +1,313 @@
+/* ========================================
+   RESUME
+   About, Skills, Experience, JSON-LD, vCard & Print
+======================================== */
+
+import { App, DOM, emit, on } from './core.js';
+import { DEFAULT_LOCALE, setTranslatedText } from './i18n.js';
+import { createElement, sanitizeUrl } from './utils.js';
+
+// Resume - data/resume.json (JSON Resume format) is the single source for the About summary,
+// Skills, Experience, the Person JSON-LD, the vCard and the print header.
+// Translations sit next to it as resume.<locale>.json.
+const RESUME_URL = 'data/resume.json';
+const resumeRequests = {};
+let resumeRenderToken = 0;
+
+export default {
+    name: 'resume',
+    init: setupResume
+};
+
+function setupResume() {
+    try {
+        App.resumeReady = App.i18nReady.then(renderResume);
+
+        // Search engines and address books get the default language
+        loadResume(DEFAULT_LOCALE)
+            .then(updatePersonJsonLd)
+            .catch(error => console.error("Resume JSON-LD failed:", error));
+
+        on('locale:change', renderResume);
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-resume-action]');
+            if (!button) return;
+
+            if (button.dataset.resumeAction === 'vcard') {
+                downloadVcard();
+            } else if (button.dataset.resumeAction === 'print') {
+                printResume();
+            }
+        });
+
+    } catch (error) {
+        console.error("Resume setup failed:", error);
+    }
+    return App.resumeReady;
+}
+
+function loadResume(locale) {
+    const url = locale === DEFAULT_LOCALE ? RESUME_URL : RESUME_URL.replace(/\.json$/, `.${locale}.json`);
+
+    if (!resumeRequests[url]) {
+        resumeRequests[url] = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Status ${response.status}`);
+                return response.json();
+            })
+            .then(normalizeResume)
+            .catch(error => {
+                delete resumeRequests[url];
+                if (locale === DEFAULT_LOCALE) throw error;
+
+                console.warn(`No "${locale}" resume, using the default:`, error);
+                return loadResume(DEFAULT_LOCALE);
+            });
+    }
+    return resumeRequests[url];
+}
+
+// Fill in the optional JSON Resume sections so renderers can skip the checks
+function normalizeResume(resume) {
+    const basics = resume.basics || {};
+
+    return {
+        basics: {
+            ...basics,
+            profiles: (basics.profiles || []).filter(profile => sanitizeUrl(profile.url))
+        },
+        work: Array.isArray(resume.work) ? resume.work : [],
+        skills: Array.isArray(resume.skills) ? resume.skills : [],
+        meta: resume.meta || {}
+    };
+}
+
+// Static markup stays in place when the resume cannot be loaded
+async function renderResume() {
+    const token = ++resumeRenderToken;
+
+    try {
+        const resume = await loadResume(App.locale);
+        if (token !== resumeRenderToken) return;
+
+        App.resume = resume;
+        renderResumeSummary(resume);
+        renderResumeSkills(resume);
+        renderResumeWork(resume);
+        renderResumePrintHeader(resume);
+        updateResumeLinks(resume);
+
+    } catch (error) {
+        console.error("Resume rendering failed:", error);
+    }
+}
+
+function renderResumeSummary(resume) {
+    const summary = document.querySelector('[data-resume="summary"]');
+    if (summary && resume.basics.summary) {
+        const paragraphs = resume.basics.summary.split(/\n\s*\n/).map(text => text.trim()).filter(Boolean);
+        summary.replaceChildren(...paragraphs.map(text => createElement('p', 'section-paragraph', text)));
+    }
+
+    const years = document.querySelector('[data-resume="years"]');
+    const count = getYearsOfExperience(resume.work);
+    if (years && count) {
+        years.replaceChildren(count.toLocaleString(App.locale), createElement('span', 'stat-plus', '+'));
+    }
+}
+
+// Whole years since the earliest start date
+function getYearsOfExperience(work) {
+    const starts = work.map(job => parseResumeDate(job.startDate)).filter(Boolean);
+    if (!starts.length) return 0;
+
+    const earliest = Math.min(...starts.map(date => date.getTime()));
+    return Math.floor((Date.now() - earliest) / (365.25 * 24 * 60 * 60 * 1000));
+}
+
+function renderResumeSkills(resume) {
+    const container = document.querySelector('[data-resume="skills"]');
+    if (!container || !resume.skills.length) return;
+
+    container.replaceChildren(...resume.skills.map(skill => {
+        const category = createElement('div', 'skill-category');
+        const list = createElement('ul', 'skills-list');
+        (skill.keywords || []).forEach(keyword => list.appendChild(createElement('li', null, keyword)));
+
+        category.append(createElement('h3', 'category-title', skill.name), list);
+        return category;
+    }));
+}
+
+function renderResumeWork(resume) {
+    const list = document.querySelector('[data-resume="work"]');
+    if (!list) return;
+
+    list.replaceChildren(...resume.work.map(job => {
+        const item = createElement('li', 'experience-item');
+        const header = createElement('div', 'experience-header');
+        header.appendChild(createElement('h3', 'experience-position', job.position));
+
+        const company = createElement('p', 'experience-company');
+        const companyUrl = sanitizeUrl(job.url);
+        if (companyUrl) {
+            const link = createElement('a', null, job.name);
+            link.href = companyUrl;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            company.appendChild(link);
+        } else {
+            company.textContent = job.name || '';
+        }
+        header.appendChild(company);
+
+        const dates = createElement('p', 'experience-dates');
+        dates.append(createResumeTime(job.startDate), ' – ', createResumeTime(job.endDate));
+        header.appendChild(dates);
+        item.appendChild(header);
+
+        if (job.summary) {
+            item.appendChild(createElement('p', 'experience-summary', job.summary));
+        }
+        if (job.highlights && job.highlights.length) {
+            const highlights = createElement('ul', 'experience-highlights');
+            job.highlights.forEach(text => highlights.appendChild(createElement('li', null, text)));
+            item.appendChild(highlights);
+        }
+        return item;
+    }));
+}
+
+// <time> for a JSON Resume date; a missing end date means the job is current
+function createResumeTime(value) {
+    const date = parseResumeDate(value);
+    if (!date) {
+        const present = createElement('span');
+        setTranslatedText(present, 'experience.present');
+        return present;
+    }
+
+    const time = createElement('time');
+    time.dateTime = value;
+    time.textContent = new Intl.DateTimeFormat(App.locale, {
+        year: 'numeric',
+        month: value.length > 4 ? 'short' : undefined,
+        timeZone: 'UTC'
+    }).format(date);
+    return time;
+}
+
+// "2023", "2023-01" or "2023-01-15", read as UTC so the month never shifts
+function parseResumeDate(value) {
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(value || '');
+    if (!match) return null;
+    return new Date(Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1)));
+}
+
+function renderResumePrintHeader(resume) {
+    const header = document.querySelector('[data-resume="print-header"]');
+    if (!header) return;
+
+    const { basics } = resume;
+    const contact = [basics.email, basics.phone, basics.url, ...basics.profiles.map(profile => profile.url)]
+        .filter(Boolean);
+
+    header.replaceChildren(
+        createElement('h1', 'resume-print-name', basics.name),
+        createElement('p', 'resume-print-label', basics.label),
+        createElement('p', 'resume-print-contact', contact.join(' · '))
+    );
+}
+
+// Every link to the PDF follows resume.json, so none can point at a stale file
+function updateResumeLinks(resume) {
+    const pdf = resume.meta.pdf;
+    if (!pdf) return;
+
+    document.querySelectorAll('[data-resume-pdf]').forEach(link => {
+        link.setAttribute('href', pdf);
+    });
+}
+
+function updatePersonJsonLd(resume) {
+    const { basics } = resume;
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: basics.name,
+        jobTitle: basics.label,
+        description: (basics.summary || '').split(/\n\s*\n/)[0],
+        image: basics.image,
+        email: basics.email ? `mailto:${basics.email}` : undefined,
+        telephone: basics.phone,
+        url: basics.url || `${window.location.origin}${window.location.pathname}`,
+        sameAs: basics.profiles.map(profile => profile.url),
+        knowsAbout: resume.skills.flatMap(skill => skill.keywords || [])
+    };
+
+    let script = document.getElementById('person-jsonld');
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'person-jsonld';
+        document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(person, null, 2);
+}
+
+export async function downloadVcard() {
+    try {
+        const resume = await loadResume(DEFAULT_LOCALE);
+        const blob = new Blob([buildVcard(resume)], { type: 'text/vcard;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(resume.basics.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contact'}.vcf`;
+        DOM.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        emit('track', { name: 'resume_download', parameters: { format: 'vcard' } });
+
+    } catch (error) {
+        console.error("vCard download failed:", error);
+    }
+}
+
+// vCard 3.0 (RFC 2426) with CRLF line endings and 75 character line folding
+function buildVcard(resume) {
+    const { basics } = resume;
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+    const names = (basics.name || '').trim().split(/\s+/);
+    const familyName = names.length > 1 ? names.pop() : '';
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${escape(familyName)};${escape(names.join(' '))};;;`,
+        `FN:${escape(basics.name || '')}`
+    ];
+
+    if (basics.label) lines.push(`TITLE:${escape(basics.label)}`);
+    if (basics.email) lines.push(`EMAIL;TYPE=INTERNET:${escape(basics.email)}`);
+    if (basics.phone) lines.push(`TEL;TYPE=CELL:${escape(basics.phone)}`);
+    lines.push(`URL:${escape(basics.url || `${window.location.origin}${window.location.pathname}`)}`);
+    if (basics.image) lines.push(`PHOTO;VALUE=uri:${basics.image}`);
+    basics.profiles.forEach(profile => {
+        // The network is optional in JSON Resume, but it is what names the profile here
+        if (!profile.network) return;
+        lines.push(`X-SOCIALPROFILE;TYPE=${escape(profile.network.toLowerCase())}:${profile.url}`);
+    });
+    lines.push('END:VCARD');
+
+    return lines.map(line => line.match(/.{1,75}/g).join('\r\n ')).join('\r\n') + '\r\n';
+}
+
+// Print styles turn the page into the resume; see @media print in style.css
+export function printResume() {
+    emit('track', { name: 'resume_print', parameters: {} });
+    window.print();
+}
@@ -0,0 +1,282 @@
+/* ========================================
+   SCROLLING
+   Section Reveals, Smooth Scrolling & Scroll Spy
+======================================== */
+
+import { config } from './config.js';
+import { App, DOM, emit } from './core.js';
+import { PROJECT_ROUTE_PREFIX } from './project-dialog.js';
+import { POST_ROUTE_PREFIX } from './writing.js';
+
+export default {
+    name: 'scroll',
+    init() {
+        setupScrollAnimations();
+        setupSmoothScrolling();
+        setupScrollSpy();
+        setupScrollTracking();
+    },
+    // Sections start hidden until they are revealed
+    fallback: showAllSections
+};
+
+// Scroll Animations with Intersection Observer
+function setupScrollAnimations() {
+    if (!('IntersectionObserver' in window)) {
+        console.warn("IntersectionObserver not supported, skipping scroll animations");
+        showAllSections();
+        return;
+    }
+
+    try {
+        const observerOptions = {
+            threshold: App.isReducedMotion ? 0 : config.scroll.revealThreshold,
+            rootMargin: App.isReducedMotion ? '0px' : config.scroll.revealRootMargin
+        };
+
+        // Sections stay observed so section:leave fires when they scroll out again
+        const visibleSections = new Set();
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const section = entry.target;
+
+                if (entry.isIntersecting && !visibleSections.has(section)) {
+                    section.classList.add('is-visible');
+                    visibleSections.add(section);
+                    emit('section:enter', { section });
+                } else if (!entry.isIntersecting && visibleSections.has(section)) {
+                    visibleSections.delete(section);
+                    emit('section:leave', { section });
+                }
+            });
+        }, observerOptions);
+
+        // Observe all sections
+        DOM.sections.forEach(section => {
+            observer.observe(section);
+        });
+
+    } catch (error) {
+        console.error("Scroll animations setup failed:", error);
+        // Fallback: show all sections
+        showAllSections();
+    }
+}
+
+function showAllSections() {
+    DOM.sections.forEach(section => {
+        section.classList.add('is-visible');
+    });
+}
+
+// Smooth Scrolling with Enhanced Features
+function setupSmoothScrolling() {
+    try {
+        DOM.navLinks.forEach(link => {
+            link.addEventListener('click', handleSmoothScroll);
+        });
+
+        // Scroll positions are handled here, with the nav offset applied
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('popstate', () => {
+            // Project and post routes are handled by their plugins instead of scrolling
+            if (App.projectDialog.projectId || isRouteHash(window.location.hash)) return;
+
+            const target = getHashTarget(window.location.hash);
+            if (target) {
+                scrollToTarget(target);
+            } else {
+                window.scrollTo({ top: 0, behavior: App.isReducedMotion ? 'instant' : 'smooth' });
+            }
+        });
+
+        // Jump to a linked section once images, projects and the resume have settled the layout
+        const initialTarget = getHashTarget(window.location.hash);
+        if (initialTarget) {
+            const loaded = document.readyState === 'complete'
+                ? Promise.resolve()
+                : new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+
+            Promise.all([loaded, App.projectsReady, App.resumeReady]).then(() => {
+                scrollToTarget(initialTarget, { smooth: false });
+            });
+        }
+
+    } catch (error) {
+        console.error("Smooth scrolling setup failed:", error);
+    }
+}
+
+// Handle Smooth Scroll
+function handleSmoothScroll(e) {
+    try {
+        e.preventDefault();
+        
+        goToSection(this.getAttribute('href'));
+
+    } catch (error) {
+        console.error("Smooth scroll failed:", error);
+    }
+}
+
+// Scroll to a "#id" section and give it its own history entry,
+// so back/forward and sharing work
+export function goToSection(targetId) {
+    const targetElement = getHashTarget(targetId);
+
+    if (!targetElement) {
+        console.warn(`Target element not found: ${targetId}`);
+        return;
+    }
+
+    scrollToTarget(targetElement);
+
+    if (window.location.hash !== targetId) {
+        const url = new URL(window.location.href);
+        url.hash = targetId;
+        history.pushState(null, '', url);
+    }
+}
+
+function isRouteHash(hash) {
+    return hash.startsWith(PROJECT_ROUTE_PREFIX) || hash.startsWith(POST_ROUTE_PREFIX);
+}
+
+// Section for a "#id" hash; project and post routes and empty hashes have none
+function getHashTarget(hash) {
+    if (!hash || hash === '#' || hash.includes('/')) return null;
+
+    try {
+        return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (error) {
+        return null;
+    }
+}
+
+export function getNavHeight() {
+    return parseInt(getComputedStyle(document.documentElement)
+        .getPropertyValue('--nav-height')) || config.scroll.navHeightFallback;
+}
+
+// Scroll so the target starts just below the fixed navigation
+export function scrollToTarget(targetElement, options = {}) {
+    const offsetTop = getDocumentTop(targetElement) - getNavHeight();
+    const smooth = options.smooth !== false;
+
+    // Use native smooth scroll if supported and not reduced motion
+    if (smooth && 'scrollBehavior' in document.documentElement.style && !App.isReducedMotion) {
+        window.scrollTo({
+            top: offsetTop,
+            behavior: 'smooth'
+        });
+    } else {
+        // Fallback scroll without animation
+        window.scrollTo({
+            top: offsetTop,
+            behavior: 'instant'
+        });
+    }
+}
+
+// Layout position, without the entrance transform sections have until they are revealed
+function getDocumentTop(element) {
+    let top = 0;
+    for (let node = element; node; node = node.offsetParent) {
+        top += node.offsetTop;
+    }
+    return top;
+}
+
+// Scroll Spy - marks the section on screen in both navs and mirrors it in the hash
+function setupScrollSpy() {
+    try {
+        const links = Array.from(document.querySelectorAll('.nav-link[href^="#"], .mobile-nav-link[href^="#"]'));
+
+        DOM.spyLinks = links;
+        DOM.spySections = DOM.sections.filter(section => section.id);
+
+        updateScrollSpy();
+
+    } catch (error) {
+        console.error("Scroll spy setup failed:", error);
+    }
+}
+
+// Called from the throttled scroll handler
+function updateScrollSpy() {
+    if (!DOM.spySections.length) return;
+
+    // The current section is the last one whose top passed a line a third down the viewport
+    const line = App.scrollY + getNavHeight() + window.innerHeight / 3;
+    const atBottom = window.innerHeight + App.scrollY >= DOM.html.scrollHeight - 2;
+
+    let current = DOM.spySections[0];
+    if (atBottom) {
+        current = DOM.spySections[DOM.spySections.length - 1];
+    } else {
+        DOM.spySections.forEach(section => {
+            if (section.offsetTop <= line) current = section;
+        });
+    }
+
+    if (current.id === App.currentSection) return;
+    App.currentSection = current.id;
+
+    DOM.spyLinks.forEach(link => {
+        if (link.getAttribute('href') === `#${current.id}`) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+
+    syncSectionHash(current);
+}
+
+function syncSectionHash(section) {
+    // Leave the hash alone while a dialog or an open post owns it
+    if (App.dialogs.length || isRouteHash(window.location.hash)) return;
+
+    const isFirstSection = section === DOM.spySections[0];
+    const hash = isFirstSection ? '' : `#${section.id}`;
+    if (window.location.hash === hash) return;
+
+    try {
+        const url = new URL(window.location.href);
+        url.hash = hash;
+        history.replaceState(history.state, '', url);
+    } catch (error) {
+        console.error("Section hash update failed:", error);
+    }
+}
+
+// Scroll Tracking - one update per animation frame, shared through the scroll event
+function setupScrollTracking() {
+    try {
+        // Throttled scroll handler for performance
+        let ticking = false;
+        
+        function updateScrollPosition() {
+            App.scrollY = window.scrollY;
+            updateScrollSpy();
+            emit('scroll', { y: App.scrollY });
+            ticking = false;
+        }
+
+        function handleScroll() {
+            if (!ticking) {
+                requestAnimationFrame(updateScrollPosition);
+                ticking = true;
+            }
+        }
+
+        // Passive scroll listener for better performance
+        window.addEventListener('scroll', handleScroll, { passive: true });
+
+    } catch (error) {
+        console.error("Scroll tracking setup failed:", error);
+    }
+}
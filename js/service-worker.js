@@ -0,0 +1,85 @@
+/* ========================================
+   SERVICE WORKER
+   Offline Support & Update Prompt
+======================================== */
+
+import { config } from './config.js';
+import { App } from './core.js';
+import { t } from './i18n.js';
+import { showToast } from './toast.js';
+
+// Service Worker - offline support and the "new version" prompt
+const SERVICE_WORKER_URL = config.serviceWorker.url;
+
+export default {
+    name: 'service-worker',
+    init: setupServiceWorker
+};
+
+function setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        App.serviceWorker.status = 'unsupported';
+        console.info("Service workers not supported, offline support disabled");
+        return;
+    }
+
+    // The waiting worker took over after "Reload" was chosen
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!App.serviceWorker.isReloading) return;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.addEventListener('message', async (e) => {
+        if (e.data && e.data.type === 'UPDATE_AVAILABLE') {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration && registration.waiting) {
+                showUpdateToast(registration.waiting);
+            }
+        }
+    });
+
+    window.addEventListener('load', async () => {
+        try {
+            App.serviceWorker.status = 'registering';
+            const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+            App.serviceWorker.status = 'registered';
+            console.log("✅ Service worker registered for", registration.scope);
+
+            // An update may already be waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateToast(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateToast(worker);
+                    } else if (worker.state === 'redundant') {
+                        console.warn("Service worker update was discarded");
+                    }
+                });
+            });
+
+        } catch (error) {
+            App.serviceWorker.status = 'failed';
+            console.error("❌ Service worker registration failed:", error);
+        }
+    });
+}
+
+function showUpdateToast(worker) {
+    if (document.querySelector('.toast-update')) return;
+
+    showToast(t('toast.updateAvailable'), {
+        className: 'toast-update',
+        actionLabel: t('toast.reload'),
+        onAction: () => {
+            App.serviceWorker.isReloading = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    });
+}
@@ -0,0 +1,247 @@
+/* ========================================
+   THEME
+   Light, Dark, High Contrast & Accent Colors
+======================================== */
+
+import { App, DOM, emit } from './core.js';
+import { readStorage } from './utils.js';
+
+// The inline snippet in index.html mirrors these constants for the first paint
+const THEME_STORAGE_KEY = 'theme';
+const ACCENT_STORAGE_KEY = 'accent-color';
+const THEME_MODES = ['system', 'light', 'dark', 'high-contrast'];
+const THEME_COLORS = {
+    light: '#f5f5f7',
+    dark: '#000000',
+    'high-contrast': '#000000'
+};
+const ACCENT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export default {
+    name: 'theme',
+    init: setupTheme
+};
+
+// Theme Management with Enhanced Features
+function setupTheme() {
+    const themeToggle = DOM.themeToggle;
+    if (!themeToggle) {
+        console.warn("Theme toggle button not found");
+        return;
+    }
+
+    try {
+        // Missing or unknown values follow the system
+        const savedMode = readStorage(THEME_STORAGE_KEY);
+        const initialMode = THEME_MODES.includes(savedMode) ? savedMode : 'system';
+        
+        // Set initial theme without animating or saving what is already there
+        setTheme(initialMode, { persist: false, animate: false });
+        setAccentColor(readStorage(ACCENT_STORAGE_KEY) || '', { persist: false });
+
+        // Theme toggle event with error handling
+        themeToggle.addEventListener('click', handleThemeToggle);
+        
+        // Listen for system theme changes while following the system
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (App.themeMode === 'system') {
+                setTheme('system', { persist: false });
+            }
+        });
+
+        setupThemeMenu();
+
+    } catch (error) {
+        console.error("Theme setup failed:", error);
+        setTheme('light', { persist: false }); // Fallback to light theme
+    }
+}
+
+// Set Theme Function - accepts a mode, and resolves "system" to light or dark
+export function setTheme(mode, options = {}) {
+    try {
+        const theme = resolveTheme(mode);
+        const hasChanged = theme !== App.currentTheme;
+        const hasModeChanged = mode !== App.themeMode;
+
+        App.themeMode = mode;
+        App.currentTheme = theme;
+        DOM.html.setAttribute('data-theme', theme);
+        DOM.html.setAttribute('data-theme-mode', mode);
+        updateThemeColorMeta();
+        syncThemeMenu();
+        
+        // Add theme changing animation
+        if (hasChanged && options.animate !== false && !App.isReducedMotion) {
+            DOM.body.classList.add('theme-changing');
+            setTimeout(() => {
+                DOM.body.classList.remove('theme-changing');
+            }, 300);
+        }
+        
+        // Following the system is the default, so it needs no saved value
+        if (options.persist !== false) {
+            if (mode === 'system') {
+                localStorage.removeItem(THEME_STORAGE_KEY);
+            } else {
+                localStorage.setItem(THEME_STORAGE_KEY, mode);
+            }
+        }
+
+        if (hasChanged || hasModeChanged) {
+            emit('theme:change', { mode, theme });
+        }
+        
+    } catch (error) {
+        console.error("Failed to set theme:", error);
+    }
+}
+
+function resolveTheme(mode) {
+    if (mode !== 'system') return mode;
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+// Accent Color - an empty value restores the theme's own accent
+export function setAccentColor(color, options = {}) {
+    try {
+        const accent = ACCENT_COLOR_PATTERN.test(color) ? color.toLowerCase() : '';
+        App.accentColor = accent;
+
+        if (accent) {
+            DOM.html.style.setProperty('--accent-custom', accent);
+        } else {
+            DOM.html.style.removeProperty('--accent-custom');
+        }
+        syncThemeMenu();
+
+        if (options.persist !== false) {
+            if (accent) {
+                localStorage.setItem(ACCENT_STORAGE_KEY, accent);
+            } else {
+                localStorage.removeItem(ACCENT_STORAGE_KEY);
+            }
+        }
+
+    } catch (error) {
+        console.error("Failed to set accent color:", error);
+    }
+}
+
+function updateThemeColorMeta() {
+    let meta = document.querySelector('meta[name="theme-color"]');
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.name = 'theme-color';
+        document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', THEME_COLORS[App.currentTheme] || THEME_COLORS.light);
+}
+
+// Handle Theme Toggle - quick switch between light and dark
+export function handleThemeToggle() {
+    try {
+        const newTheme = App.currentTheme === 'light' ? 'dark' : 'light';
+        setTheme(newTheme);
+    } catch (error) {
+        console.error("Theme toggle failed:", error);
+    }
+}
+
+// Theme Menu - mode radios plus accent swatches and a custom color picker
+function setupThemeMenu() {
+    const button = DOM.themeSettingsBtn;
+    const menu = DOM.themeMenu;
+    if (!button || !menu) return;
+
+    try {
+        button.addEventListener('click', () => {
+            toggleThemeMenu(menu.hidden);
+        });
+
+        menu.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.name === 'theme-mode') {
+                setTheme(input.value);
+            } else if (input.name === 'accent-color') {
+                setAccentColor(input.value);
+            } else if (input.id === 'accent-custom') {
+                setAccentColor(input.value);
+            }
+        });
+
+        // Preview the custom color while the picker is open
+        const customInput = menu.querySelector('#accent-custom');
+        if (customInput) {
+            customInput.addEventListener('input', () => {
+                setAccentColor(customInput.value, { persist: false });
+            });
+        }
+
+        menu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                toggleThemeMenu(false);
+                button.focus();
+            }
+        });
+
+        // Close when focus or a click lands elsewhere
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !menu.contains(e.target) && !button.contains(e.target)) {
+                toggleThemeMenu(false);
+            }
+        });
+
+        menu.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !menu.contains(e.relatedTarget) && e.relatedTarget !== button) {
+                toggleThemeMenu(false);
+            }
+        });
+
+        syncThemeMenu();
+
+    } catch (error) {
+        console.error("Theme menu setup failed:", error);
+    }
+}
+
+function toggleThemeMenu(open) {
+    const button = DOM.themeSettingsBtn;
+    const menu = DOM.themeMenu;
+
+    menu.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+
+    if (open) {
+        const checked = menu.querySelector('input[name="theme-mode"]:checked');
+        (checked || menu.querySelector('input')).focus();
+    }
+}
+
+// Reflect the current mode and accent in the menu controls
+function syncThemeMenu() {
+    const menu = DOM.themeMenu;
+    if (!menu) return;
+
+    menu.querySelectorAll('input[name="theme-mode"]').forEach(input => {
+        input.checked = input.value === App.themeMode;
+    });
+
+    let isPreset = false;
+    menu.querySelectorAll('input[name="accent-color"]').forEach(input => {
+        input.checked = input.value === App.accentColor;
+        isPreset = isPreset || input.checked;
+    });
+
+    const customInput = menu.querySelector('#accent-custom');
+    if (customInput) {
+        customInput.closest('.accent-swatch').classList.toggle('is-selected', !isPreset);
+        if (!isPreset) customInput.value = App.accentColor;
+    }
+
+    const note = menu.querySelector('[data-accent-note]');
+    if (note) {
+        note.hidden = App.currentTheme !== 'high-contrast';
+    }
+}
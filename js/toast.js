@@ -0,0 +1,44 @@
+/* ========================================
+   TOAST NOTIFICATIONS
+   Status Messages with an Optional Action
+======================================== */
+
+import { App, DOM } from './core.js';
+import { t } from './i18n.js';
+import { createElement } from './utils.js';
+
+// Toast Notifications
+export function showToast(message, options = {}) {
+    const toast = createElement('div', `toast ${options.className || ''}`.trim());
+    toast.setAttribute('role', 'status');
+    toast.appendChild(createElement('span', 'toast-message', message));
+
+    const dismiss = () => {
+        toast.classList.remove('is-visible');
+        setTimeout(() => toast.remove(), App.isReducedMotion ? 0 : 300);
+    };
+
+    if (options.actionLabel) {
+        const action = createElement('button', 'toast-action', options.actionLabel);
+        action.type = 'button';
+        action.addEventListener('click', () => {
+            options.onAction();
+            dismiss();
+        });
+        toast.appendChild(action);
+    }
+
+    const close = createElement('button', 'toast-close', '×');
+    close.type = 'button';
+    close.setAttribute('aria-label', t('toast.dismiss'));
+    close.addEventListener('click', dismiss);
+    toast.appendChild(close);
+
+    DOM.body.appendChild(toast);
+    requestAnimationFrame(() => toast.classList.add('is-visible'));
+
+    if (options.duration) {
+        setTimeout(dismiss, options.duration);
+    }
+    return toast;
+}
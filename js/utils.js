@@ -0,0 +1,98 @@
+/* ========================================
+   UTILITIES
+   Shared Helpers for the Plugins
+======================================== */
+
+// Utility Functions
+export const Utils = {
+    // Debounce function for performance
+    debounce: (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    // Throttle function for performance
+    throttle: (func, limit) => {
+        let inThrottle;
+        return function() {
+            const args = arguments;
+            const context = this;
+            if (!inThrottle) {
+                func.apply(context, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    },
+
+    // Check if element is in viewport
+    isInViewport: (element) => {
+        const rect = element.getBoundingClientRect();
+        return (
+            rect.top >= 0 &&
+            rect.left >= 0 &&
+            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+        );
+    }
+};
+
+// Create an element with an optional class name and text content
+export function createElement(tagName, className, textContent) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (textContent !== undefined) element.textContent = textContent;
+    return element;
+}
+
+// Only allow http(s) and relative URLs; anything else renders no link
+export function sanitizeUrl(url) {
+    if (!url || typeof url !== 'string' || url.trim() === '#') return null;
+
+    try {
+        const parsed = new URL(url, window.location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Storage can be blocked entirely, e.g. by privacy settings
+export function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keys typed into fields belong to the field
+export function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// A short label for reports: button#themeToggle, a.nav-link[href="#work"].
+// Never the text, which may be user input
+export function describeElement(element) {
+    let description = element.tagName.toLowerCase();
+
+    if (element.id) {
+        description += `#${element.id}`;
+    } else if (element.classList.length) {
+        description += `.${element.classList[0]}`;
+    }
+
+    const href = element.getAttribute('href');
+    if (href && href.startsWith('#')) {
+        description += `[href="${href}"]`;
+    }
+    return description;
+}
@@ -0,0 +1,245 @@
+/* ========================================
+   WRITING
+   Post List & Routed Post Views
+======================================== */
+
+import { App, emit, on } from './core.js';
+import { setTranslatedText } from './i18n.js';
+import { scrollToTarget } from './scroll.js';
+import { createElement } from './utils.js';
+
+// Written by scripts/posts.mjs from the Markdown files in posts/
+const POSTS_INDEX = 'data/posts.json';
+const POSTS_DIR = 'data/posts/';
+
+// Writing - a view per post, routed through #writing/<slug>; #writing is the list
+export const POST_ROUTE_PREFIX = '#writing/';
+
+const postRequests = {};
+let postRenderToken = 0;
+
+export default {
+    name: 'writing',
+    init: setupWriting
+};
+
+function setupWriting() {
+    const section = document.getElementById('writing');
+    const list = section && section.querySelector('[data-writing="list"]');
+    const view = section && section.querySelector('[data-writing="post"]');
+    if (!list || !view) {
+        console.warn("Writing section not found");
+        return;
+    }
+
+    App.postsReady = Promise.all([loadPosts(), App.i18nReady])
+        .then(([posts]) => {
+            App.posts = posts;
+            renderPostList(list, posts);
+            return posts;
+        })
+        .catch(error => {
+            console.error("Writing section setup failed:", error);
+            renderPostsMessage(list, 'writing.loadError');
+            return [];
+        })
+        .finally(() => {
+            list.setAttribute('aria-busy', 'false');
+        });
+
+    window.addEventListener('hashchange', () => handlePostRoute(true));
+    App.postsReady.then(() => handlePostRoute(false));
+
+    // Dates are formatted for the locale, so they are rebuilt with it
+    on('locale:change', () => {
+        if (!App.posts.length) return;
+
+        renderPostList(list, App.posts);
+        const post = App.posts.find(item => item.slug === App.currentPost);
+        if (post) view.querySelector('.post-meta').replaceWith(createPostMeta(post));
+    });
+
+    return App.postsReady;
+}
+
+async function loadPosts() {
+    const response = await fetch(POSTS_INDEX);
+    if (!response.ok) {
+        throw new Error(`Posts index request failed with status ${response.status}`);
+    }
+
+    const index = await response.json();
+    return (Array.isArray(index.posts) ? index.posts : [])
+        .filter(post => post && post.slug && post.title)
+        .map(post => ({
+            slug: String(post.slug),
+            title: String(post.title),
+            date: post.date || '',
+            tags: Array.isArray(post.tags) ? post.tags.map(String) : [],
+            summary: post.summary || '',
+            readingTime: Number(post.readingTime) || 1
+        }));
+}
+
+// The rendered HTML comes from our own Markdown files, so it is trusted as it is
+function loadPostBody(slug) {
+    const url = `${POSTS_DIR}${encodeURIComponent(slug)}.html`;
+
+    if (!postRequests[url]) {
+        postRequests[url] = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Status ${response.status}`);
+                return response.text();
+            })
+            .catch(error => {
+                delete postRequests[url];
+                throw error;
+            });
+    }
+    return postRequests[url];
+}
+
+// Post List
+function renderPostList(list, posts) {
+    if (!posts.length) {
+        renderPostsMessage(list, 'writing.empty');
+        return;
+    }
+
+    list.replaceChildren(...posts.map(post => {
+        const item = createElement('li', 'post-item');
+        const title = createElement('h3', 'post-item-title');
+        const link = createElement('a', 'post-item-link', post.title);
+        link.href = `${POST_ROUTE_PREFIX}${encodeURIComponent(post.slug)}`;
+        title.appendChild(link);
+
+        item.append(title, createPostMeta(post));
+        if (post.summary) {
+            item.appendChild(createElement('p', 'post-item-summary', post.summary));
+        }
+        if (post.tags.length) {
+            item.appendChild(createPostTags(post));
+        }
+        return item;
+    }));
+}
+
+function renderPostsMessage(list, key) {
+    const message = createElement('li', 'post-list-message');
+    setTranslatedText(message, key);
+    list.replaceChildren(message);
+}
+
+function createPostMeta(post) {
+    const meta = createElement('p', 'post-meta');
+
+    if (post.date) {
+        const time = createElement('time');
+        time.dateTime = post.date;
+        time.textContent = new Intl.DateTimeFormat(App.locale, { dateStyle: 'long', timeZone: 'UTC' })
+            .format(new Date(`${post.date}T00:00:00Z`));
+        meta.appendChild(time);
+    }
+
+    const readingTime = createElement('span', 'post-reading-time');
+    setTranslatedText(readingTime, 'writing.readingTime', { count: post.readingTime });
+    meta.appendChild(readingTime);
+
+    return meta;
+}
+
+function createPostTags(post) {
+    const tags = createElement('ul', 'post-tags');
+    post.tags.forEach(tag => tags.appendChild(createElement('li', 'post-tag', tag)));
+    return tags;
+}
+
+// Post Views - show the post or the list to match the current hash
+function handlePostRoute(fromHistory) {
+    try {
+        const hash = window.location.hash;
+        const slug = hash.startsWith(POST_ROUTE_PREFIX)
+            ? decodeURIComponent(hash.slice(POST_ROUTE_PREFIX.length))
+            : null;
+        const post = App.posts.find(item => item.slug === slug);
+
+        if (post) {
+            if (App.currentPost !== post.slug) showPost(post, fromHistory);
+        } else {
+            if (slug) console.warn(`No post named "${slug}"`);
+            if (App.currentPost) showPostList();
+        }
+    } catch (error) {
+        console.error("Post route failed:", error);
+    }
+}
+
+async function showPost(post, fromHistory) {
+    const section = document.getElementById('writing');
+    const list = section.querySelector('[data-writing="list"]');
+    const view = section.querySelector('[data-writing="post"]');
+    const token = ++postRenderToken;
+
+    App.currentPost = post.slug;
+
+    let body;
+    try {
+        body = await loadPostBody(post.slug);
+    } catch (error) {
+        console.error(`Post "${post.slug}" could not be loaded:`, error);
+        body = null;
+    }
+    if (token !== postRenderToken) return;
+
+    const article = createElement('article', 'post');
+    const back = createElement('a', 'post-back');
+    back.href = '#writing';
+    setTranslatedText(back, 'writing.allPosts');
+
+    const header = createElement('header', 'post-header');
+    const title = createElement('h3', 'post-title', post.title);
+    title.tabIndex = -1;
+    header.append(title, createPostMeta(post));
+    if (post.tags.length) header.appendChild(createPostTags(post));
+
+    const content = createElement('div', 'post-body');
+    if (body === null) {
+        setTranslatedText(content, 'writing.postError');
+    } else {
+        content.innerHTML = body;
+    }
+
+    article.append(back, header, content);
+    view.replaceChildren(article);
+    view.hidden = false;
+    list.hidden = true;
+
+    // Deep links wait for the sections above to settle, like section hashes do
+    if (!fromHistory) {
+        await Promise.all([App.projectsReady, App.resumeReady]);
+    }
+    scrollToTarget(section, { smooth: fromHistory });
+    title.focus({ preventScroll: true });
+
+    emit('track', { name: 'post_view', parameters: { post: post.slug } });
+}
+
+// Back to the list, with focus on the post that was open
+function showPostList() {
+    const section = document.getElementById('writing');
+    const list = section.querySelector('[data-writing="list"]');
+    const view = section.querySelector('[data-writing="post"]');
+    const slug = App.currentPost;
+
+    postRenderToken++;
+    App.currentPost = null;
+    view.hidden = true;
+    view.replaceChildren();
+    list.hidden = false;
+
+    const link = Array.from(list.querySelectorAll('.post-item-link'))
+        .find(item => item.getAttribute('href') === `${POST_ROUTE_PREFIX}${encodeURIComponent(slug)}`);
+    if (link && window.location.hash === '#writing') {
+        link.focus({ preventScroll: true });
+    }
+}
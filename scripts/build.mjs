@@ -0,0 +1,297 @@
+/* ========================================
+   STATIC SITE BUILD
+   Prerendering, Fingerprinting & Precache
+======================================== */
+
+// Usage: node scripts/build.mjs
+//   SITE_URL=https://example.com/   public address for the sitemap, robots.txt and JSON-LD
+//                                   (default: "homepage" in package.json)
+//
+// Writes a deployable dist/ folder, with an Atom feed of the posts in posts/.
+// Everything is read from disk, so the build runs offline.
+
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { build as bundle, transform } from 'esbuild';
+import { JSDOM, ResourceLoader, VirtualConsole } from 'jsdom';
+import { MANIFEST_FILE as IMAGE_MANIFEST_FILE, buildImages, listGeneratedFiles } from './images.mjs';
+import { FEED_FILE, POSTS_FILE, buildFeed, buildPosts, listPostFiles, readSiteUrl } from './posts.mjs';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const DIST = join(ROOT, 'dist');
+const PRERENDER_TIMEOUT_MS = 10000;
+
+const PRECACHE_MANIFEST_PATTERN = /const PRECACHE_MANIFEST = \[([^\]]*)\];/;
+const PRECACHE_VERSION_PATTERN = /const PRECACHE_VERSION = '[^']*';/;
+const HTML_PAGES = ['index.html', 'offline.html'];
+
+// Minified and renamed to <name>.<hash>.<ext>; scripts are bundled with the modules they import
+const FINGERPRINTED_FILES = {
+    'js/main.js': 'js',
+    'style.css': 'css'
+};
+
+// Modules end up in the bundle, so they are neither copied nor precached
+const MODULES_DIR = 'js/';
+
+// Filled in by the plugins at runtime and copied into the static page
+const PRERENDERED_SELECTORS = ['#project-grid', '[data-resume]', 'picture[data-image]', '[data-writing="list"]'];
+
+async function build() {
+    const startedAt = Date.now();
+    const siteUrl = await getSiteUrl();
+
+    await rm(DIST, { recursive: true, force: true });
+    await mkdir(DIST, { recursive: true });
+
+    // Generated images are cached at runtime by sw.js; only their manifest is precached
+    const imageManifest = await buildImages();
+    await copyStaticFiles(listGeneratedFiles(imageManifest));
+
+    // Posts are small, so they are all precached and can be read offline
+    const posts = await buildPosts();
+
+    const serviceWorker = await readFile(join(ROOT, 'sw.js'), 'utf8');
+    const assets = await fingerprintAssets();
+    const staticFiles = [...getStaticFiles(serviceWorker, assets), IMAGE_MANIFEST_FILE, POSTS_FILE, ...listPostFiles(posts)];
+    await copyStaticFiles(staticFiles);
+
+    const indexHtml = await prerenderPage('index.html', siteUrl, assets);
+    await writeHtml('index.html', indexHtml, assets);
+    await writeHtml('offline.html', await readFile(join(ROOT, 'offline.html'), 'utf8'), assets);
+
+    await writeServiceWorker(serviceWorker, [...HTML_PAGES, ...Object.values(assets), ...staticFiles]);
+    await writeSitemap(siteUrl);
+    await writeFile(join(DIST, FEED_FILE), await buildFeed(posts, siteUrl));
+
+    console.log(`✅ Built dist/ in ${Date.now() - startedAt}ms`);
+}
+
+async function getSiteUrl() {
+    const siteUrl = await readSiteUrl();
+
+    if (new URL(siteUrl).hostname === 'example.com') {
+        console.warn("⚠️  Using the placeholder https://example.com/. Set SITE_URL or \"homepage\" in package.json.");
+    }
+    return siteUrl;
+}
+
+// Short content hash, so a changed file always gets a new name
+function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+async function fingerprintAssets() {
+    const assets = {};
+
+    for (const [file, loader] of Object.entries(FINGERPRINTED_FILES)) {
+        const code = loader === 'js' ? await bundleScript(file) : await minifyFile(file, loader);
+        const name = file.replace(/\.(\w+)$/, `.${hashContent(code)}.$1`);
+
+        await mkdir(dirname(join(DIST, name)), { recursive: true });
+        await writeFile(join(DIST, name), code);
+        assets[file] = name;
+        console.log(`📦 ${file} → ${name}`);
+    }
+    return assets;
+}
+
+// One classic script, which jsdom can also run for the prerender
+async function bundleScript(file) {
+    const { outputFiles } = await bundle({
+        entryPoints: [join(ROOT, file)],
+        bundle: true,
+        format: 'iife',
+        minify: true,
+        legalComments: 'none',
+        write: false
+    });
+    return outputFiles[0].text;
+}
+
+async function minifyFile(file, loader) {
+    const source = await readFile(join(ROOT, file), 'utf8');
+    const { code } = await transform(source, { loader, minify: true, legalComments: 'none' });
+    return code;
+}
+
+// The precache list in sw.js already names every file the site needs;
+// everything on it except the pages, modules and fingerprinted assets is copied as it is
+function getStaticFiles(serviceWorker, assets) {
+    const match = PRECACHE_MANIFEST_PATTERN.exec(serviceWorker);
+    if (!match) throw new Error("Could not find PRECACHE_MANIFEST in sw.js");
+
+    return [...match[1].matchAll(/'([^']+)'/g)]
+        .map(([, path]) => decodeURI(path))
+        .filter(file => file !== './' && !HTML_PAGES.includes(file) && !assets[file] && !file.startsWith(MODULES_DIR));
+}
+
+async function copyStaticFiles(files) {
+    for (const file of files) {
+        await mkdir(dirname(join(DIST, file)), { recursive: true });
+        await copyFile(join(ROOT, file), join(DIST, file));
+    }
+}
+
+// Serves the built scripts and the repository's files to the prerendering page
+class LocalResourceLoader extends ResourceLoader {
+    constructor(siteUrl) {
+        super();
+        this.siteUrl = siteUrl;
+    }
+
+    fetch(url) {
+        return readSiteFile(url, this.siteUrl).then(data => data || Buffer.from(''));
+    }
+}
+
+async function readSiteFile(url, siteUrl) {
+    const { href, pathname } = new URL(url, siteUrl);
+    if (!href.startsWith(siteUrl)) return null;
+
+    const file = decodeURIComponent(href.slice(siteUrl.length).split(/[?#]/)[0]) || 'index.html';
+    for (const folder of [DIST, ROOT]) {
+        try {
+            return await readFile(join(folder, file));
+        } catch (error) {
+            // Not built; try the repository
+        }
+    }
+
+    console.warn(`⚠️  Prerender could not find ${pathname}`);
+    return null;
+}
+
+// Run the built page in jsdom and copy the data-driven sections into the untouched markup,
+// so runtime state (theme, open menus, visibility classes) never ends up in the HTML
+async function prerenderPage(file, siteUrl, assets) {
+    const source = await readFile(join(ROOT, file), 'utf8');
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => console.error("❌ Prerender:", ...args));
+    virtualConsole.on('jsdomError', error => console.error("❌ Prerender:", error.message));
+
+    const page = new JSDOM(rewriteAssetReferences(new JSDOM(source), assets).serialize(), {
+        url: new URL(file, siteUrl).href,
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(siteUrl),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.matchMedia = query => ({
+                matches: false,
+                media: query,
+                addEventListener() {},
+                removeEventListener() {},
+                addListener() {},
+                removeListener() {}
+            });
+            window.scrollTo = () => {};
+            window.fetch = async (input) => {
+                const data = await readSiteFile(typeof input === 'string' ? input : input.url, siteUrl);
+                return data
+                    ? new Response(data, { status: 200 })
+                    : new Response('Not found', { status: 404 });
+            };
+        }
+    });
+
+    await new Promise((done, fail) => {
+        const timer = setTimeout(() => fail(new Error(`Prerendering ${file} timed out`)), PRERENDER_TIMEOUT_MS);
+        page.window.document.addEventListener('portfolio:rendered', () => {
+            clearTimeout(timer);
+            done();
+        });
+    });
+
+    const output = new JSDOM(source);
+    const rendered = page.window.document;
+    const document = output.window.document;
+
+    PRERENDERED_SELECTORS.forEach(selector => {
+        const targets = document.querySelectorAll(selector);
+        rendered.querySelectorAll(selector).forEach((element, index) => {
+            if (targets[index]) targets[index].innerHTML = element.innerHTML;
+        });
+    });
+    document.getElementById('project-grid')?.setAttribute('aria-busy', 'false');
+    document.querySelector('[data-writing="list"]')?.setAttribute('aria-busy', 'false');
+
+    const jsonLd = rendered.getElementById('person-jsonld');
+    if (jsonLd) document.head.appendChild(document.importNode(jsonLd, true));
+
+    page.window.close();
+    console.log(`🖨️  Prerendered ${file}`);
+    return output.serialize();
+}
+
+// Point <link> and <script> tags at the fingerprinted names
+function rewriteAssetReferences(dom, assets) {
+    const { document } = dom.window;
+
+    Object.entries(assets).forEach(([file, name]) => {
+        document.querySelectorAll(`link[href="${file}"]`).forEach(link => link.setAttribute('href', name));
+        document.querySelectorAll(`script[src="${file}"]`).forEach(script => {
+            script.setAttribute('src', name);
+
+            // The bundle is a classic script; defer keeps the timing of the module it replaces
+            if (script.type === 'module') {
+                script.removeAttribute('type');
+                script.defer = true;
+            }
+        });
+    });
+    return dom;
+}
+
+async function writeHtml(file, html, assets) {
+    const dom = rewriteAssetReferences(new JSDOM(html), assets);
+    await writeFile(join(DIST, file), dom.serialize());
+}
+
+// Replace the hand-kept precache list in sw.js with the files that were actually built
+async function writeServiceWorker(source, files) {
+    const hash = createHash('sha256');
+    for (const file of files) {
+        hash.update(file).update(await readFile(join(DIST, file)));
+    }
+
+    const manifest = ['./', ...files].map(file => `    '${encodeURI(file)}'`).join(',\n');
+    if (!PRECACHE_VERSION_PATTERN.test(source)) {
+        throw new Error("Could not find PRECACHE_VERSION in sw.js");
+    }
+
+    const output = source
+        .replace(PRECACHE_VERSION_PATTERN, `const PRECACHE_VERSION = '${hash.digest('hex').slice(0, 10)}';`)
+        .replace(PRECACHE_MANIFEST_PATTERN, `const PRECACHE_MANIFEST = [\n${manifest}\n];`);
+    await writeFile(join(DIST, 'sw.js'), output);
+}
+
+async function writeSitemap(siteUrl) {
+    const lastModified = new Date().toISOString().slice(0, 10);
+
+    await writeFile(join(DIST, 'sitemap.xml'), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '    <url>',
+        `        <loc>${siteUrl}</loc>`,
+        `        <lastmod>${lastModified}</lastmod>`,
+        '    </url>',
+        '</urlset>',
+        ''
+    ].join('\n'));
+
+    await writeFile(join(DIST, 'robots.txt'), [
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${new URL('sitemap.xml', siteUrl).href}`,
+        ''
+    ].join('\n'));
+}
+
+build().catch(error => {
+    console.error("❌ Build failed:", error);
+    process.exitCode = 1;
+});
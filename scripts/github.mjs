@@ -0,0 +1,61 @@
+/* ========================================
+   GITHUB REPOSITORIES SNAPSHOT
+   Offline Fallback for the Open Source Cards
+======================================== */
+
+// Usage: node scripts/github.mjs
+//   GITHUB_USER=octocat           owner to snapshot (default: the GitHub profile in data/resume.json)
+//   GITHUB_API=http://localhost:8080/api/github   API base URL (default: https://api.github.com)
+//   GITHUB_TOKEN=...              optional token, for a higher rate limit
+//
+// Writes data/github-repos.json, which js/github.js shows when the API is rate limited
+// or the visitor is offline and nothing is cached yet.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SNAPSHOT_FILE = 'data/github-repos.json';
+const RESUME_FILE = 'data/resume.json';
+
+// Only what the cards use, so the snapshot stays small
+const REPO_FIELDS = ['name', 'html_url', 'description', 'language', 'stargazers_count', 'pushed_at', 'fork', 'archived'];
+
+async function getOwner() {
+    if (process.env.GITHUB_USER) return process.env.GITHUB_USER;
+
+    const resume = JSON.parse(await readFile(join(ROOT, RESUME_FILE), 'utf8'));
+    const profile = ((resume.basics || {}).profiles || [])
+        .find(item => String(item.network).toLowerCase() === 'github');
+    return profile ? profile.username : '';
+}
+
+async function snapshotRepositories() {
+    const owner = await getOwner();
+    if (!owner) {
+        throw new Error(`No GitHub user: set GITHUB_USER or the GitHub profile in ${RESUME_FILE}`);
+    }
+
+    const baseUrl = (process.env.GITHUB_API || 'https://api.github.com').replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/users/${encodeURIComponent(owner)}/repos?sort=pushed&per_page=100`, {
+        headers: {
+            Accept: 'application/vnd.github+json',
+            ...(process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {})
+        }
+    });
+    if (!response.ok) {
+        throw new Error(`GitHub API request failed with status ${response.status}`);
+    }
+
+    const repos = (await response.json()).map(repo => Object.fromEntries(REPO_FIELDS.map(field => [field, repo[field]])));
+    const snapshot = { owner, fetchedAt: new Date().toISOString(), repos };
+
+    await writeFile(join(ROOT, SNAPSHOT_FILE), JSON.stringify(snapshot, null, 4) + '\n');
+    console.log(`✅ ${repos.length} repositories from ${owner} → ${SNAPSHOT_FILE}`);
+}
+
+snapshotRepositories().catch(error => {
+    console.error("❌ GitHub snapshot failed:", error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,164 @@
+/* ========================================
+   RESPONSIVE IMAGE PIPELINE
+   AVIF/WebP/JPEG Variants & Placeholders
+======================================== */
+
+// Usage: node scripts/images.mjs
+//
+// Reads the originals in images/ and writes, for each one:
+//   images/generated/<name>.<hash>-<width>.<avif|webp|jpg>   resized variants
+//   data/images.json                                         srcsets, sizes and a blurred placeholder
+// Unchanged originals are skipped, so running it again is cheap.
+
+import { createHash } from 'node:crypto';
+import { access, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { basename, extname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import sharp from 'sharp';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SOURCE_DIR = 'images';
+const OUTPUT_DIR = 'images/generated';
+export const MANIFEST_FILE = 'data/images.json';
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+
+// Order matters: browsers take the first <source> type they support
+const FORMATS = {
+    avif: { type: 'image/avif', options: { quality: 50 } },
+    webp: { type: 'image/webp', options: { quality: 75 } },
+    jpg: { type: 'image/jpeg', options: { quality: 78, mozjpeg: true } }
+};
+
+// Bump to regenerate every image after changing the settings above
+const PIPELINE_VERSION = 1;
+
+export async function buildImages() {
+    const previous = await readManifest();
+    const manifest = {};
+    const sources = await findSources();
+
+    await mkdir(join(ROOT, OUTPUT_DIR), { recursive: true });
+
+    for (const source of sources) {
+        const input = await readFile(join(ROOT, source));
+        const hash = createHash('sha256').update(input).update(String(PIPELINE_VERSION)).digest('hex').slice(0, 8);
+
+        if (previous[source] && previous[source].hash === hash && await isGenerated(previous[source])) {
+            manifest[source] = previous[source];
+            continue;
+        }
+
+        manifest[source] = await processImage(source, input, hash);
+        console.log(`🖼️  ${source} → ${manifest[source].widths.join(', ')}px`);
+    }
+
+    await removeStaleVariants(manifest);
+    await writeFile(join(ROOT, MANIFEST_FILE), `${JSON.stringify(manifest, null, 4)}\n`);
+    return manifest;
+}
+
+async function readManifest() {
+    try {
+        return JSON.parse(await readFile(join(ROOT, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function isGenerated(entry) {
+    try {
+        await access(join(ROOT, entry.src));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function findSources() {
+    const entries = await readdir(join(ROOT, SOURCE_DIR), { withFileTypes: true });
+
+    return entries
+        .filter(entry => entry.isFile() && SOURCE_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+        .map(entry => `${SOURCE_DIR}/${entry.name}`)
+        .sort();
+}
+
+// Widths well below the original, plus the original itself (capped at the largest width)
+function getWidths(originalWidth) {
+    const widths = WIDTHS.filter(width => width <= originalWidth * 0.8);
+    widths.push(Math.min(originalWidth, WIDTHS[WIDTHS.length - 1]));
+    return [...new Set(widths)];
+}
+
+async function processImage(source, input, hash) {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const image = sharp(input).rotate();
+    const { width, height } = await image.metadata().then(meta =>
+        meta.orientation >= 5 ? { width: meta.height, height: meta.width } : meta
+    );
+
+    const name = basename(source, extname(source)).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const widths = getWidths(width);
+    const srcset = {};
+
+    for (const [extension, format] of Object.entries(FORMATS)) {
+        const candidates = [];
+
+        for (const variantWidth of widths) {
+            const file = `${OUTPUT_DIR}/${name}.${hash}-${variantWidth}.${extension}`;
+            await image.clone()
+                .resize({ width: variantWidth, withoutEnlargement: true })
+                .toFormat(extension === 'jpg' ? 'jpeg' : extension, format.options)
+                .toFile(join(ROOT, file));
+            candidates.push(`${file} ${variantWidth}w`);
+        }
+        srcset[format.type] = candidates.join(', ');
+    }
+
+    const placeholder = await image.clone()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(1)
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    // A mid-sized JPEG is the src for browsers without srcset support
+    const fallbackWidth = widths.find(candidate => candidate >= 960) || widths[widths.length - 1];
+
+    return {
+        hash,
+        width,
+        height,
+        widths,
+        src: `${OUTPUT_DIR}/${name}.${hash}-${fallbackWidth}.jpg`,
+        srcset,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+    };
+}
+
+// Every variant named in the manifest, relative to the repository
+export function listGeneratedFiles(manifest) {
+    return Object.values(manifest).flatMap(entry =>
+        Object.values(entry.srcset).flatMap(srcset => srcset.split(', ').map(candidate => candidate.split(' ')[0]))
+    );
+}
+
+// Drop the variants of originals that changed or were removed
+async function removeStaleVariants(manifest) {
+    const current = new Set(listGeneratedFiles(manifest).map(file => basename(file)));
+
+    const files = await readdir(join(ROOT, OUTPUT_DIR));
+    await Promise.all(files
+        .filter(file => !current.has(file))
+        .map(file => rm(join(ROOT, OUTPUT_DIR, file))));
+}
+
+// Run directly, or imported by scripts/build.mjs
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    buildImages().catch(error => {
+        console.error("❌ Image pipeline failed:", error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,239 @@
+/* ========================================
+   WRITING PIPELINE
+   Markdown Posts, Highlighting & Atom Feed
+======================================== */
+
+// Usage: node scripts/posts.mjs
+//
+// Reads the Markdown posts in posts/ and writes:
+//   data/posts.json          title, date, tags, summary and reading time of every post, newest first
+//   data/posts/<slug>.html   the post body, with highlighted code blocks
+//   feed.xml                 an Atom feed of the full posts, linking to SITE_URL or "homepage"
+// scripts/build.mjs writes the same feed into dist/.
+//
+// Each post starts with front matter:
+//   ---
+//   title: A plugin system without a framework
+//   date: 2026-09-21
+//   tags: [javascript, architecture]
+//   summary: One or two sentences for the list and the feed.
+//   draft: true             optional, leaves the post out
+//   ---
+
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { basename, extname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import hljs from 'highlight.js';
+import { Marked } from 'marked';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SOURCE_DIR = 'posts';
+const OUTPUT_DIR = 'data/posts';
+export const POSTS_FILE = 'data/posts.json';
+export const FEED_FILE = 'feed.xml';
+const RESUME_FILE = 'data/resume.json';
+
+const WORDS_PER_MINUTE = 200;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The post title is an h3 under the section's h2, so a post's "##" sections become h4
+const HEADING_OFFSET = 2;
+
+const marked = new Marked({
+    renderer: {
+        heading({ tokens, depth }) {
+            const level = Math.min(depth + HEADING_OFFSET, 6);
+            return `<h${level}>${this.parser.parseInline(tokens)}</h${level}>\n`;
+        },
+        code({ text, lang }) {
+            const language = (lang || '').split(/\s/)[0];
+            const highlighted = language && hljs.getLanguage(language)
+                ? hljs.highlight(text, { language }).value
+                : escapeHtml(text);
+            const label = language ? ` data-language="${escapeHtml(language)}"` : '';
+
+            return `<pre class="post-code"${label}><code class="hljs">${highlighted}</code></pre>\n`;
+        }
+    }
+});
+
+export async function buildPosts() {
+    const sources = await findSources();
+    const posts = [];
+
+    await rm(join(ROOT, OUTPUT_DIR), { recursive: true, force: true });
+    await mkdir(join(ROOT, OUTPUT_DIR), { recursive: true });
+
+    for (const source of sources) {
+        const post = parsePost(source, await readFile(join(ROOT, source), 'utf8'));
+        if (post.draft) continue;
+
+        await writeFile(join(ROOT, OUTPUT_DIR, `${post.slug}.html`), marked.parse(post.body));
+        posts.push({
+            slug: post.slug,
+            title: post.title,
+            date: post.date,
+            tags: post.tags,
+            summary: post.summary,
+            readingTime: getReadingTime(post.body)
+        });
+        console.log(`📝 ${source} → ${OUTPUT_DIR}/${post.slug}.html`);
+    }
+
+    posts.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+    await writeFile(join(ROOT, POSTS_FILE), `${JSON.stringify({ posts }, null, 4)}\n`);
+    return posts;
+}
+
+async function findSources() {
+    try {
+        const entries = await readdir(join(ROOT, SOURCE_DIR), { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && extname(entry.name).toLowerCase() === '.md')
+            .map(entry => `${SOURCE_DIR}/${entry.name}`)
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// A post is its file name (the slug), its front matter and the Markdown after it
+function parsePost(source, text) {
+    const match = FRONT_MATTER_PATTERN.exec(text);
+    if (!match) throw new Error(`${source} has no front matter`);
+
+    const meta = parseFrontMatter(match[1]);
+    const slug = basename(source, extname(source)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (!meta.title) throw new Error(`${source} has no title`);
+    if (!DATE_PATTERN.test(meta.date || '')) throw new Error(`${source} needs a date like 2026-09-21`);
+
+    return {
+        slug,
+        title: String(meta.title),
+        date: meta.date,
+        tags: Array.isArray(meta.tags) ? meta.tags : (meta.tags ? [meta.tags] : []),
+        summary: meta.summary || '',
+        draft: meta.draft === true,
+        body: text.slice(match[0].length)
+    };
+}
+
+// Just enough YAML for front matter: "key: value", "[a, b]" lists and "- item" lists
+function parseFrontMatter(block) {
+    const meta = {};
+    let listKey = null;
+
+    block.split(/\r?\n/).forEach(line => {
+        const item = /^\s+-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            meta[listKey].push(parseValue(item[1]));
+            return;
+        }
+
+        const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (!pair) return;
+
+        const [, key, value] = pair;
+        listKey = null;
+        if (value === '') {
+            meta[key] = [];
+            listKey = key;
+        } else if (/^\[.*\]$/.test(value)) {
+            meta[key] = value.slice(1, -1).split(',').map(part => parseValue(part.trim())).filter(Boolean);
+        } else {
+            meta[key] = parseValue(value);
+        }
+    });
+    return meta;
+}
+
+function parseValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    const quoted = /^(["'])(.*)\1$/.exec(value);
+    return quoted ? quoted[2] : value;
+}
+
+// Minutes at an average reading speed, code included, never less than one
+function getReadingTime(markdown) {
+    const words = markdown.split(/\s+/).filter(word => /\w/.test(word)).length;
+    return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Every rendered post, relative to the repository
+export function listPostFiles(posts) {
+    return posts.map(post => `${OUTPUT_DIR}/${post.slug}.html`);
+}
+
+// The site's public address, with a trailing slash: SITE_URL, else "homepage" in package.json
+export async function readSiteUrl() {
+    const { homepage } = JSON.parse(await readFile(join(ROOT, 'package.json'), 'utf8'));
+    const siteUrl = new URL(process.env.SITE_URL || homepage);
+
+    if (!siteUrl.pathname.endsWith('/')) siteUrl.pathname += '/';
+    return siteUrl.href;
+}
+
+// Atom feed with the full posts; relative links in them resolve against the site
+export async function buildFeed(posts, siteUrl) {
+    const resume = JSON.parse(await readFile(join(ROOT, RESUME_FILE), 'utf8'));
+    const author = (resume.basics && resume.basics.name) || '';
+    const writingUrl = `${siteUrl}#writing`;
+    const updated = posts.length ? `${posts[0].date}T00:00:00Z` : new Date().toISOString();
+
+    const entries = await Promise.all(posts.map(async post => {
+        const content = await readFile(join(ROOT, OUTPUT_DIR, `${post.slug}.html`), 'utf8');
+        const url = `${writingUrl}/${encodeURIComponent(post.slug)}`;
+
+        return [
+            '    <entry>',
+            `        <title>${escapeHtml(post.title)}</title>`,
+            `        <link href="${escapeHtml(url)}"/>`,
+            `        <id>${escapeHtml(url)}</id>`,
+            `        <published>${post.date}T00:00:00Z</published>`,
+            `        <updated>${post.date}T00:00:00Z</updated>`,
+            ...post.tags.map(tag => `        <category term="${escapeHtml(tag)}"/>`),
+            post.summary ? `        <summary>${escapeHtml(post.summary)}</summary>` : null,
+            `        <content type="html">${escapeHtml(content)}</content>`,
+            '    </entry>'
+        ].filter(line => line !== null).join('\n');
+    }));
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${escapeHtml(siteUrl)}">`,
+        `    <title>${escapeHtml(author ? `${author} - Writing` : 'Writing')}</title>`,
+        `    <link href="${escapeHtml(`${siteUrl}feed.xml`)}" rel="self"/>`,
+        `    <link href="${escapeHtml(writingUrl)}"/>`,
+        `    <id>${escapeHtml(writingUrl)}</id>`,
+        `    <updated>${updated}</updated>`,
+        `    <author><name>${escapeHtml(author)}</name></author>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// Run directly, or imported by scripts/build.mjs
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    // The page links to feed.xml, so it exists under the dev server too
+    buildPosts().then(async posts => {
+        await writeFile(join(ROOT, FEED_FILE), await buildFeed(posts, await readSiteUrl()));
+        console.log(`📰 ${FEED_FILE}`);
+    }).catch(error => {
+        console.error("❌ Posts pipeline failed:", error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,184 @@
+/* ========================================
+   APPLE-STYLE PORTFOLIO - SERVICE WORKER
+   Offline Support & Update Flow
+======================================== */
+
+// Bump the version whenever a precached file changes, so visitors get the update.
+// scripts/build.mjs rewrites both the version and the manifest below for dist/
+const PRECACHE_VERSION = 'v22';
+const PRECACHE_NAME = `portfolio-precache-${PRECACHE_VERSION}`;
+const IMAGE_CACHE_NAME = 'portfolio-images';
+const IMAGE_CACHE_MAX_ENTRIES = 60;
+const OFFLINE_PAGE = 'offline.html';
+const GENERATED_IMAGES_PATH = 'images/generated/';
+const DATA_CACHE_NAME = 'portfolio-data';
+
+// Written by scripts/images.mjs and scripts/posts.mjs rather than kept in the repo, so they
+// are not in the manifest below; the build adds them to it for dist/. Unbuilt, they are
+// cached as they are fetched, network first, so the writing section and images work offline.
+const GENERATED_DATA_PATHS = ['data/images.json', 'data/posts.json', 'data/posts/'];
+
+// Precache Manifest - paths are relative to the service worker scope
+const PRECACHE_MANIFEST = [
+    './',
+    'index.html',
+    'offline.html',
+    'style.css',
+    'js/main.js',
+    'js/config.js',
+    'js/core.js',
+    'js/utils.js',
+    'js/fallbacks.js',
+    'js/theme.js',
+    'js/motion.js',
+    'js/i18n.js',
+    'js/menu.js',
+    'js/images.js',
+    'js/projects.js',
+    'js/project-dialog.js',
+    'js/resume.js',
+    'js/github.js',
+    'js/writing.js',
+    'js/dialogs.js',
+    'js/palette.js',
+    'js/engagement.js',
+    'js/errors.js',
+    'js/performance.js',
+    'js/scroll.js',
+    'js/animations.js',
+    'js/keyboard.js',
+    'js/service-worker.js',
+    'js/toast.js',
+    'js/forms.js',
+    'js/analytics.js',
+    'Resume_44.pdf',
+    'GitHub_Logo_White.png',
+    'data/projects.json',
+    'data/disposable-domains.json',
+    'data/resume.json',
+    'data/resume.ar.json',
+    'data/github-repos.json',
+    'locales/en.json',
+    'locales/ar.json'
+];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Install: precache everything, then wait for the page to ask for activation
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        await cache.addAll(PRECACHE_MANIFEST.map(scopeUrl));
+
+        // An existing controller means this is an update, not a first install
+        if (self.registration.active) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach(client => client.postMessage({
+                type: 'UPDATE_AVAILABLE',
+                version: PRECACHE_VERSION
+            }));
+        }
+    })());
+});
+
+// Activate: drop precaches from older versions and take over open pages
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('portfolio-precache-') && name !== PRECACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image' && (url.origin !== self.location.origin || url.href.startsWith(scopeUrl(GENERATED_IMAGES_PATH)))) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(handleSameOrigin(request));
+    }
+});
+
+// Pages: network first, then the cached page, then the offline fallback
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(PRECACHE_NAME);
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match(scopeUrl(OFFLINE_PAGE)))
+            || Response.error();
+    }
+}
+
+// Precached files come from the cache, everything else from the network
+async function handleSameOrigin(request) {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    return isGeneratedData(request.url) ? networkFirst(request) : fetch(request);
+}
+
+function isGeneratedData(href) {
+    const url = new URL(href);
+    const path = `${url.origin}${url.pathname}`;
+    return GENERATED_DATA_PATHS.some(dataPath => (dataPath.endsWith('/')
+        ? path.startsWith(scopeUrl(dataPath))
+        : path === scopeUrl(dataPath)));
+}
+
+// The latest copy when online, the last one fetched when not
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || Response.error();
+    }
+}
+
+// Remote and generated images: answer from the cache right away and refresh it in the background
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(IMAGE_CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(async (response) => {
+            // Opaque responses from no-cors image requests are cacheable too
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(request, response.clone());
+                await trimCache(cache, IMAGE_CACHE_MAX_ENTRIES);
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return network;
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
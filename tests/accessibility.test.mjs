@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MOBILE, formatViolations, openPage, runAxe, scrollThroughPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// Contrast depends only on the theme, so it is checked once per theme below and left out of the other runs
+const WITHOUT_CONTRAST = { rules: { 'color-contrast': { enabled: false } } };
+const CONTRAST_ONLY = { runOnly: { type: 'rule', values: ['color-contrast'] } };
+const REDUCED_MOTION = [{ name: 'prefers-reduced-motion', value: 'reduce' }];
+
+// Sections stay transparent until revealed, and axe skips transparent text
+async function openRevealedPage(options) {
+    const opened = await openPage(context, { media: REDUCED_MOTION, ...options });
+    await scrollThroughPage(opened.page);
+    return opened;
+}
+
+async function assertNoViolations(page, options) {
+    const violations = await runAxe(page, options);
+    assert.deepEqual(violations, [], formatViolations(violations));
+}
+
+for (const theme of ['light', 'dark', 'high-contrast']) {
+    test(`no accessibility violations in the ${theme} theme`, async () => {
+        const { page } = await openRevealedPage({ storage: { theme } });
+        await assertNoViolations(page, WITHOUT_CONTRAST);
+    });
+}
+
+test('no accessibility violations in Arabic (right-to-left)', async () => {
+    const { page } = await openRevealedPage({ storage: { locale: 'ar' } });
+    await assertNoViolations(page, WITHOUT_CONTRAST);
+});
+
+test('no accessibility violations with the mobile menu open', async () => {
+    const { page } = await openPage(context, { viewport: MOBILE, media: REDUCED_MOTION });
+    await page.click('#hamburger-btn');
+    await page.waitForSelector('#mobile-menu.is-open');
+    await assertNoViolations(page, WITHOUT_CONTRAST);
+});
+
+test('no accessibility violations with a project dialog open', async () => {
+    const { page } = await openPage(context, { path: '#work/e-commerce-platform', media: REDUCED_MOTION });
+    await page.waitForSelector('#project-dialog.is-open');
+    await assertNoViolations(page, WITHOUT_CONTRAST);
+});
+
+test('no accessibility violations with the command palette open', async () => {
+    const { page } = await openPage(context, { media: REDUCED_MOTION });
+    await page.keyboard.down('Control');
+    await page.keyboard.press('k');
+    await page.keyboard.up('Control');
+    await page.waitForSelector('#command-palette.is-open');
+    await assertNoViolations(page, WITHOUT_CONTRAST);
+});
+
+for (const theme of ['light', 'dark', 'high-contrast']) {
+    test(`text contrast meets WCAG AA in the ${theme} theme`, async () => {
+        const { page } = await openRevealedPage({ storage: { theme } });
+        await assertNoViolations(page, CONTRAST_ONLY);
+    });
+}
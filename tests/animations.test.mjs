@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser, waitForScrollEnd } from './helpers.mjs';
+
+const context = useBrowser();
+const REDUCED_MOTION = [{ name: 'prefers-reduced-motion', value: 'reduce' }];
+
+const getMotion = page => page.evaluate(() => ({
+    motion: document.documentElement.dataset.motion,
+    stored: localStorage.getItem('motion'),
+    checked: document.getElementById('motion-reduce').checked
+}));
+
+async function scrollToElement(page, selector) {
+    await page.$eval(selector, element => element.scrollIntoView({ block: 'center', behavior: 'instant' }));
+    await waitForScrollEnd(page);
+}
+
+test('staggered elements animate in as they scroll into view, each child later than the one before', async () => {
+    const { page, errors } = await openPage(context);
+
+    assert.equal(await page.$eval('html', html => html.classList.contains('has-animations')), true);
+    assert.equal(await page.$eval('.skills-content', element => element.classList.contains('is-animated')), false);
+    assert.equal(await page.$eval('.skill-category', element => getComputedStyle(element).opacity), '0');
+
+    await scrollToElement(page, '.skills-content');
+    await page.waitForSelector('.skills-content.is-animated');
+
+    const delays = await page.$$eval('.skills-content > *', children => children
+        .map(child => child.style.getPropertyValue('--animate-delay')));
+    assert.equal(delays[0], '0ms');
+    assert.equal(delays[1], '100ms');
+    assert.equal(await page.$eval('.skill-category', element => getComputedStyle(element).animationName), 'animate-fade-up');
+    assert.deepEqual(errors, []);
+});
+
+test('with reduced motion everything is shown at once and the hero does not move', async () => {
+    const { page, errors } = await openPage(context, { media: REDUCED_MOTION });
+
+    assert.equal((await getMotion(page)).motion, 'reduce');
+    assert.equal(await page.$eval('.skill-category', element => getComputedStyle(element).opacity), '1');
+
+    await page.evaluate(() => window.scrollTo({ top: 300, behavior: 'instant' }));
+    await waitForScrollEnd(page);
+    assert.equal(await page.$eval('.hero-content', element => element.style.translate), '');
+    assert.deepEqual(errors, []);
+});
+
+test('follows the OS setting live until the visitor chooses', async () => {
+    const { page, errors } = await openPage(context);
+    await page.evaluate(() => {
+        window.__motionChanges = [];
+        document.addEventListener('portfolio:motion:change', e => window.__motionChanges.push(e.detail));
+    });
+    assert.deepEqual(await getMotion(page), { motion: 'full', stored: null, checked: false });
+
+    await page.emulateMediaFeatures(REDUCED_MOTION);
+    await page.waitForFunction(() => document.documentElement.dataset.motion === 'reduce');
+    assert.deepEqual(await getMotion(page), { motion: 'reduce', stored: null, checked: true });
+    assert.deepEqual(await page.evaluate(() => window.__motionChanges), [{ reduced: true, preference: 'system' }]);
+    assert.deepEqual(errors, []);
+});
+
+test('the reduce motion switch is saved and applied before the modules run on reload', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.click('#theme-settings-btn');
+    await page.click('#motion-reduce');
+    assert.deepEqual(await getMotion(page), { motion: 'reduce', stored: 'reduce', checked: true });
+
+    await page.evaluateOnNewDocument(() => {
+        document.addEventListener('readystatechange', () => {
+            if (document.readyState === 'interactive') {
+                window.__motionBeforeApp = document.documentElement.dataset.motion;
+            }
+        });
+    });
+    await page.reload({ waitUntil: 'load' });
+    await page.waitForFunction(() => window.__portfolioRendered === true);
+    assert.equal(await page.evaluate(() => window.__motionBeforeApp), 'reduce');
+    assert.deepEqual(await getMotion(page), { motion: 'reduce', stored: 'reduce', checked: true });
+
+    // Choosing what the OS already asks for goes back to following it
+    await page.click('#theme-settings-btn');
+    await page.click('#motion-reduce');
+    assert.deepEqual(await getMotion(page), { motion: 'full', stored: null, checked: false });
+    assert.deepEqual(errors, []);
+});
+
+test('elements added later are picked up, and replay ones animate again on every visit', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.evaluate(() => {
+        const element = document.createElement('p');
+        element.id = 'replayed';
+        element.textContent = 'Replayed';
+        element.dataset.animate = 'scale';
+        element.setAttribute('data-animate-replay', '');
+        document.querySelector('#contact .container').appendChild(element);
+    });
+
+    await scrollToElement(page, '#replayed');
+    await page.waitForSelector('#replayed.is-animated');
+
+    await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'instant' }));
+    await page.waitForSelector('#replayed:not(.is-animated)');
+
+    await scrollToElement(page, '#replayed');
+    await page.waitForSelector('#replayed.is-animated');
+    assert.deepEqual(errors, []);
+});
+
+test('the hero copy moves slower than the page while the hero is on screen', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.evaluate(() => window.scrollTo({ top: 200, behavior: 'instant' }));
+    await waitForScrollEnd(page);
+    await page.waitForFunction(() => document.querySelector('.hero-content').style.translate !== '');
+
+    const offset = await page.$eval('.hero-content', element => parseFloat(element.style.translate.split(' ')[1]));
+    assert.ok(offset > 0 && offset < 200, `moved by ${offset}px`);
+    assert.deepEqual(errors, []);
+});
+
+test('every parallax element in a section stops moving while the section is off screen', async () => {
+    const { page, errors } = await openPage(context, {
+        // The document turns interactive right before deferred scripts run
+        beforeLoad: () => {
+            document.addEventListener('readystatechange', () => {
+                if (document.readyState !== 'interactive') return;
+                const container = document.querySelector('#contact .container');
+                ['first', 'second'].forEach(id => {
+                    const element = document.createElement('div');
+                    element.id = `parallax-${id}`;
+                    element.dataset.parallax = '0.3';
+                    container.appendChild(element);
+                });
+            });
+        }
+    });
+    const getOffsets = () => page.$$eval('[id^="parallax-"]', elements => elements.map(element => element.style.translate));
+
+    await page.evaluate(() => window.scrollTo({ top: 200, behavior: 'instant' }));
+    await waitForScrollEnd(page);
+    const offScreen = await getOffsets();
+
+    await page.evaluate(() => window.scrollTo({ top: 400, behavior: 'instant' }));
+    await waitForScrollEnd(page);
+    assert.deepEqual(await getOffsets(), offScreen);
+
+    // Positions follow the scroll, so move a little once the section is on screen
+    await scrollToElement(page, '#parallax-second');
+    await page.evaluate(() => window.scrollBy({ top: 20, behavior: 'instant' }));
+    await waitForScrollEnd(page);
+    const [first, second] = await getOffsets();
+    assert.notEqual(first, offScreen[0]);
+    assert.notEqual(second, offScreen[1]);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const INDEX_HTML = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+// Serve index.html with these settings in its #portfolio-config block
+const withConfig = settings => url => url.pathname === '/' && {
+    contentType: 'text/html',
+    body: INDEX_HTML.replace(/(<script type="application\/json" id="portfolio-config">)[\s\S]*?(<\/script>)/, `$1${JSON.stringify(settings)}$2`)
+};
+
+async function pressControlK(page) {
+    await page.keyboard.down('Control');
+    await page.keyboard.press('k');
+    await page.keyboard.up('Control');
+}
+
+const isPaletteOpen = page => page.$eval('#command-palette', palette => palette.classList.contains('is-open'));
+
+test('a feature turned off in the config block does not start', async () => {
+    const { page, errors } = await openPage(context, { respond: withConfig({ features: { palette: false } }) });
+
+    assert.equal(await page.$eval('[data-command-palette-open]', button => button.hidden), true);
+    await pressControlK(page);
+    assert.equal(await isPaletteOpen(page), false);
+    assert.deepEqual(errors, []);
+});
+
+test('?flags= turns features on and off for one visit', async () => {
+    const { page, errors } = await openPage(context, {
+        path: '?flags=-scroll,+palette',
+        respond: withConfig({ features: { palette: false } })
+    });
+
+    // Without the scroll plugin every section is shown right away
+    assert.equal(await page.$$eval('section', sections => sections.every(section => section.classList.contains('is-visible'))), true);
+
+    await pressControlK(page);
+    await page.waitForSelector('#command-palette.is-open');
+    assert.deepEqual(errors, []);
+});
+
+test('invalid settings are reported and fall back to the defaults', async () => {
+    const { page, errors } = await openPage(context, {
+        beforeLoad: () => {
+            const warn = console.warn;
+            window.__configWarnings = [];
+            console.warn = (...args) => {
+                window.__configWarnings.push(args.join(' '));
+                warn.apply(console, args);
+            };
+        },
+        path: '?flags=-nonexistent',
+        respond: withConfig({ analytics: { providers: 'ga4' }, github: { limit: '3' }, colour: 'red' })
+    });
+    const warnings = await page.evaluate(() => window.__configWarnings);
+
+    assert.ok(warnings.some(warning => warning.includes('"analytics.providers" should be a list')), warnings.join('\n'));
+    assert.ok(warnings.some(warning => warning.includes('"github.limit" should be a number')), warnings.join('\n'));
+    assert.ok(warnings.some(warning => warning.includes('Unknown config "colour"')), warnings.join('\n'));
+    assert.ok(warnings.some(warning => warning.includes('Unknown feature flag "nonexistent"')), warnings.join('\n'));
+
+    assert.deepEqual(await page.evaluate(() => window.Portfolio.config.analytics.providers), ['console']);
+    assert.equal(await page.evaluate(() => window.Portfolio.config.github.limit), 6);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// Matches MIN_SUBMIT_TIME_MS in js/forms.js: quicker submits are held back until it has passed
+const MIN_SUBMIT_TIME_MS = 3000;
+
+const getFormState = page => page.evaluate(() => {
+    const form = document.getElementById('contact-form');
+    const summary = form.querySelector('.form-error-summary');
+    return {
+        invalid: Array.from(form.querySelectorAll('[aria-invalid="true"]')).map(field => field.id),
+        errors: Array.from(form.querySelectorAll('.field-error')).map(error => error.textContent),
+        summaryItems: summary ? summary.querySelectorAll('li').length : 0,
+        focused: document.activeElement.id
+    };
+});
+
+async function fillForm(page, values) {
+    for (const [id, value] of Object.entries(values)) {
+        await page.type(`#${id}`, value);
+    }
+}
+
+test('submitting the empty form lists every error and focuses the first field', async () => {
+    const { page, errors } = await openPage(context);
+    const posts = [];
+    page.on('request', request => {
+        if (request.method() === 'POST') posts.push(request.url());
+    });
+
+    await page.click('#contact-form [type="submit"]');
+    await page.waitForSelector('.form-error-summary');
+
+    assert.deepEqual(await getFormState(page), {
+        invalid: ['contact-name', 'contact-email', 'contact-message'],
+        errors: ['This field is required', 'This field is required', 'This field is required'],
+        summaryItems: 3,
+        focused: 'contact-name'
+    });
+    assert.deepEqual(posts, []);
+    assert.deepEqual(errors, []);
+});
+
+test('explains invalid and disposable email addresses', async () => {
+    const { page } = await openPage(context);
+
+    await fillForm(page, { 'contact-name': 'Ada', 'contact-email': 'not-an-email', 'contact-message': 'Hello there, nice work!' });
+    await page.click('#contact-form [type="submit"]');
+    await page.waitForSelector('#contact-email-error');
+    assert.deepEqual((await getFormState(page)).errors, ['Please enter a valid email address']);
+
+    await page.click('#contact-email', { count: 3 });
+    await page.type('#contact-email', 'ada@mailinator.com');
+    await page.click('#contact-form [type="submit"]');
+    await page.waitForFunction(() => document.getElementById('contact-email-error')?.textContent.includes('permanent'));
+    assert.deepEqual((await getFormState(page)).errors, ['Please use a permanent email address']);
+});
+
+test('fixing a field clears its error', async () => {
+    const { page } = await openPage(context);
+
+    await page.click('#contact-form [type="submit"]');
+    await page.waitForSelector('#contact-name-error');
+    await page.type('#contact-name', 'Ada Lovelace');
+
+    assert.equal((await getFormState(page)).invalid.includes('contact-name'), false);
+});
+
+test('a valid message is posted to /api/contact and confirmed', async () => {
+    const { page, errors } = await openPage(context);
+    const posted = page.waitForRequest(request => request.method() === 'POST' && request.url().endsWith('/api/contact'));
+
+    await fillForm(page, { 'contact-name': 'Ada Lovelace', 'contact-email': 'ada@example.org', 'contact-message': 'I would love to work together.' });
+    await new Promise(done => setTimeout(done, MIN_SUBMIT_TIME_MS));
+    await page.click('#contact-form [type="submit"]');
+
+    const request = await posted;
+    assert.deepEqual(JSON.parse(request.postData()), {
+        name: 'Ada Lovelace',
+        email: 'ada@example.org',
+        message: 'I would love to work together.'
+    });
+
+    await page.waitForSelector('.form-status:not([hidden])');
+    assert.equal(await page.$eval('.form-status', status => status.textContent.trim()), 'Thanks! Your message has been sent.');
+    assert.deepEqual(errors, []);
+});
+
+test('a quick submit is held back and still sent, not dropped', async () => {
+    const { page, errors } = await openPage(context);
+    const posted = page.waitForRequest(request => request.method() === 'POST' && request.url().endsWith('/api/contact'));
+
+    const startedAt = Date.now();
+    await fillForm(page, { 'contact-name': 'Ada Lovelace', 'contact-email': 'ada@example.org', 'contact-message': 'A quick hello.' });
+    await page.click('#contact-form [type="submit"]');
+    await page.waitForFunction(() => document.getElementById('contact-form').getAttribute('aria-busy') === 'true');
+
+    await posted;
+    assert.ok(Date.now() - startedAt >= MIN_SUBMIT_TIME_MS, 'posted before the minimum time');
+    await page.waitForSelector('.form-status:not([hidden])');
+    assert.equal(await page.$eval('.form-status', status => status.textContent.trim()), 'Thanks! Your message has been sent.');
+    assert.deepEqual(errors, []);
+});
+
+test('a scripted submit nobody interacted with is not posted', async () => {
+    const { page } = await openPage(context);
+    const posts = [];
+    page.on('request', request => {
+        if (request.method() === 'POST') posts.push(request.url());
+    });
+
+    await page.evaluate(() => {
+        const form = document.getElementById('contact-form');
+        form.elements.name.value = 'Bot';
+        form.elements.email.value = 'bot@example.org';
+        form.elements.message.value = 'Buy followers, cheap and fast.';
+        form.requestSubmit();
+    });
+    await page.waitForSelector('.form-status:not([hidden])');
+    await new Promise(done => setTimeout(done, MIN_SUBMIT_TIME_MS));
+
+    assert.deepEqual(posts, []);
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// The batches the dev server collected at /api/errors, once one has a report that matches
+async function waitForReport(match) {
+    const deadline = Date.now() + 5000;
+
+    while (Date.now() < deadline) {
+        const response = await fetch(new URL('api/errors', context.server.url));
+        const { batches } = await response.json();
+        const batch = batches.find(item => item.reports.some(match));
+        if (batch) return { batch, report: batch.reports.find(match) };
+
+        await new Promise(done => setTimeout(done, 100));
+    }
+    throw new Error("No matching error report reached the collector");
+}
+
+// Reports wait a few seconds to be batched; hiding the page sends them right away
+const sendReports = page => page.evaluate(() => window.dispatchEvent(new Event('pagehide')));
+
+test('reports an uncaught error with the breadcrumbs that led to it, grouping repeats', async () => {
+    const { page } = await openPage(context);
+
+    await page.click('#themeToggle');
+    await page.evaluate(() => { window.location.hash = '#work'; });
+    await page.evaluate(() => {
+        const fail = () => { throw new Error('Repeated failure 42'); };
+        setTimeout(fail);
+        setTimeout(fail);
+    });
+    await page.evaluate(() => new Promise(done => setTimeout(done, 50)));
+    await sendReports(page);
+
+    const { report } = await waitForReport(item => item.message === 'Repeated failure 42');
+    assert.equal(report.kind, 'error');
+    assert.equal(report.context, 'Global error');
+    assert.equal(report.count, 2);
+    assert.match(report.fingerprint, /^[0-9a-f]{8}$/);
+
+    const crumbs = report.breadcrumbs.map(crumb => `${crumb.category} ${crumb.message}`);
+    assert.ok(crumbs.includes('click button#themeToggle'), crumbs.join('\n'));
+    assert.ok(crumbs.some(crumb => crumb.startsWith('theme ')), crumbs.join('\n'));
+    assert.ok(crumbs.some(crumb => crumb.startsWith('navigation ') && crumb.endsWith('→ #work')), crumbs.join('\n'));
+});
+
+test('rate limits a burst of different errors and counts what it dropped', async () => {
+    const { page } = await openPage(context);
+
+    await page.evaluate(() => {
+        for (let index = 0; index < 15; index++) {
+            console.error('Burst failure:', new Error(`Burst ${String.fromCharCode(97 + index)}`));
+        }
+    });
+    await sendReports(page);
+
+    const { batch } = await waitForReport(item => item.message === 'Burst a');
+    assert.equal(batch.reports.filter(item => item.context === 'Burst failure').length, 10);
+    assert.equal(batch.dropped, 5);
+});
+
+test('reports init failing over to the basic fallbacks once', async () => {
+    const { page } = await openPage(context, {
+        waitForApp: false,
+        beforeLoad: () => {
+            const getElementById = Document.prototype.getElementById;
+            let thrown = false;
+            Document.prototype.getElementById = function (id) {
+                if (id === 'themeToggle' && !thrown && document.readyState !== 'loading') {
+                    thrown = true;
+                    throw new Error('Simulated init failure for reporting');
+                }
+                return getElementById.call(this, id);
+            };
+        }
+    });
+
+    // Sent without waiting for the page to be hidden
+    const isInitFailure = item => item.message === 'Simulated init failure for reporting';
+    const { report } = await waitForReport(item => item.kind === 'fallback' && isInitFailure(item));
+    assert.equal(report.count, 1);
+    assert.ok(report.breadcrumbs.some(item => item.message === 'Basic fallbacks started'));
+
+    // Core logs the error too, which must not become a second report
+    await sendReports(page);
+    const response = await fetch(new URL('api/errors', context.server.url));
+    const { batches } = await response.json();
+    assert.equal(batches.flatMap(item => item.reports).filter(isInitFailure).length, 1);
+});
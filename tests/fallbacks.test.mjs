@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MOBILE, openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// Make the first lookup of the theme toggle throw, so init() fails part way through
+function breakInit() {
+    const getElementById = Document.prototype.getElementById;
+    let thrown = false;
+    Document.prototype.getElementById = function (id) {
+        if (id === 'themeToggle' && !thrown && document.readyState !== 'loading') {
+            thrown = true;
+            throw new Error('Simulated init failure');
+        }
+        return getElementById.call(this, id);
+    };
+}
+
+test('when init fails, the theme toggle and hamburger still work', async () => {
+    const { page, errors } = await openPage(context, { viewport: MOBILE, beforeLoad: breakInit, waitForApp: false });
+
+    assert.ok(errors.some(error => error.includes('Portfolio initialization failed')), 'init did not fail as simulated');
+
+    await page.click('#themeToggle');
+    assert.equal(await page.evaluate(() => document.documentElement.dataset.theme), 'dark');
+
+    // The open drawer covers the hamburger: its own button, Escape and the backdrop close it
+    const isMenuOpen = () => page.$eval('#mobile-menu', menu => menu.classList.contains('is-open'));
+    await page.evaluate(() => window.scrollTo({ top: 600, behavior: 'instant' }));
+
+    await page.click('#hamburger-btn');
+    assert.equal(await isMenuOpen(), true);
+    await page.click('.mobile-menu-close');
+    assert.equal(await isMenuOpen(), false);
+    assert.equal(await page.evaluate(() => window.scrollY), 600);
+
+    await page.click('#hamburger-btn');
+    await page.keyboard.press('Escape');
+    assert.equal(await isMenuOpen(), false);
+
+    await page.click('#hamburger-btn');
+    await page.mouse.click(10, 300);
+    assert.equal(await isMenuOpen(), false);
+    assert.equal(await page.evaluate(() => window.scrollY), 600);
+});
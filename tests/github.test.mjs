@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const INDEX_HTML = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const API_PATH = '/api/github/users/ada/repos';
+
+// The open source cards read from the mock GitHub API in dev/server.mjs
+const withMockApi = url => url.pathname === '/' && {
+    contentType: 'text/html',
+    body: INDEX_HTML.replace('data-github hidden', 'data-github data-github-user="ada" data-github-api="/api/github" hidden')
+};
+
+const rateLimited = {
+    status: 403,
+    contentType: 'application/json',
+    headers: { 'X-RateLimit-Remaining': '0' },
+    body: JSON.stringify({ message: 'API rate limit exceeded' })
+};
+
+const getRepoNames = page => page.$$eval('.repo-card .repo-name', names => names.map(name => name.textContent));
+
+// Pretend the cached response was stored longer ago than the cache TTL
+const expireCache = page => page.evaluate(() => new Promise((resolve, reject) => {
+    const request = indexedDB.open('portfolio-github', 1);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+        const store = request.result.transaction('responses', 'readwrite').objectStore('responses');
+        const cursor = store.openCursor();
+        cursor.onsuccess = () => {
+            if (!cursor.result) {
+                resolve();
+                return;
+            }
+            cursor.result.update({ ...cursor.result.value, fetchedAt: 0 });
+            cursor.result.continue();
+        };
+    };
+}));
+
+function recordApiRequests(page) {
+    const requests = [];
+    page.on('request', request => {
+        if (new URL(request.url()).pathname === API_PATH) requests.push(request.headers()['if-none-match'] || '');
+    });
+    return requests;
+}
+
+async function reload(page) {
+    await page.reload({ waitUntil: 'load' });
+    await page.waitForFunction(() => window.__portfolioRendered === true);
+    await page.waitForFunction(() => document.querySelector('.repo-grid').getAttribute('aria-busy') === 'false');
+}
+
+test('lists the public repositories, without forks and archived ones', async () => {
+    const { page, errors } = await openPage(context, { respond: withMockApi });
+    await page.waitForSelector('.repo-card');
+
+    assert.deepEqual(await getRepoNames(page), ['web-automation-system', 'analytics-dashboard', 'dotfiles']);
+    assert.equal(await page.$eval('.repo-card .repo-stars', stars => stars.textContent), '42 stars');
+    assert.match(await page.$eval('.repo-card time', time => time.dateTime), /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(await page.$eval('[data-profile="github"]', link => link.getAttribute('href')), 'https://github.com/ada');
+    assert.deepEqual(errors, []);
+});
+
+test('a reload within the cache TTL does not call the API again', async () => {
+    const { page } = await openPage(context, { respond: withMockApi });
+    await page.waitForSelector('.repo-card');
+
+    const requests = recordApiRequests(page);
+    await reload(page);
+
+    assert.deepEqual(requests, []);
+    assert.equal((await getRepoNames(page)).length, 3);
+});
+
+test('an expired cache is revalidated with its ETag', async () => {
+    const { page } = await openPage(context, { respond: withMockApi });
+    await page.waitForSelector('.repo-card');
+    await expireCache(page);
+
+    const requests = recordApiRequests(page);
+    const statuses = [];
+    page.on('response', response => {
+        if (new URL(response.url()).pathname === API_PATH) statuses.push(response.status());
+    });
+    await reload(page);
+
+    assert.equal(requests.length, 1);
+    assert.match(requests[0], /^".+"$/);
+    assert.deepEqual(statuses, [304]);
+    assert.equal((await getRepoNames(page)).length, 3);
+});
+
+test('when rate limited, the cached repositories are shown even if expired', async () => {
+    let limited = false;
+    const { page, errors } = await openPage(context, {
+        respond: url => (limited && url.pathname === API_PATH ? rateLimited : withMockApi(url))
+    });
+    await page.waitForSelector('.repo-card');
+    await expireCache(page);
+
+    limited = true;
+    await reload(page);
+
+    assert.deepEqual(await getRepoNames(page), ['web-automation-system', 'analytics-dashboard', 'dotfiles']);
+    assert.deepEqual(errors, []);
+});
+
+test('without a cache, a rate limit falls back to the bundled snapshot', async () => {
+    const snapshot = {
+        owner: 'ada',
+        fetchedAt: '2026-10-01T00:00:00Z',
+        repos: [{ name: 'from-snapshot', html_url: 'https://github.com/ada/from-snapshot', stargazers_count: 1, pushed_at: '2026-09-30T00:00:00Z' }]
+    };
+    const { page, errors } = await openPage(context, {
+        respond: url => {
+            if (url.pathname === API_PATH) return rateLimited;
+            if (url.pathname === '/data/github-repos.json') return { contentType: 'application/json', body: JSON.stringify(snapshot) };
+            return withMockApi(url);
+        }
+    });
+    await page.waitForSelector('.repo-card');
+
+    assert.deepEqual(await getRepoNames(page), ['from-snapshot']);
+    assert.deepEqual(errors, []);
+});
+
+test('the owner can come from a relative GitHub profile URL in the resume', async () => {
+    const resume = JSON.parse(readFileSync(new URL('../data/resume.json', import.meta.url), 'utf8'));
+    resume.basics.profiles = [{ network: 'GitHub', username: '', url: 'ada' }];
+
+    const { page, errors } = await openPage(context, {
+        respond: url => {
+            if (url.pathname === '/data/resume.json') return { contentType: 'application/json', body: JSON.stringify(resume) };
+            return url.pathname === '/' && {
+                contentType: 'text/html',
+                body: INDEX_HTML.replace('data-github hidden', 'data-github data-github-api="/api/github" hidden')
+            };
+        }
+    });
+    await page.waitForSelector('.repo-card');
+
+    assert.deepEqual(await getRepoNames(page), ['web-automation-system', 'analytics-dashboard', 'dotfiles']);
+    assert.deepEqual(errors, []);
+});
+
+test('a GitHub profile URL on another host gives no owner, so the snapshot is shown', async () => {
+    const resume = JSON.parse(readFileSync(new URL('../data/resume.json', import.meta.url), 'utf8'));
+    resume.basics.profiles = [{ network: 'GitHub', username: '', url: 'https://gitlab.com/ada' }];
+    const snapshot = {
+        owner: 'ada',
+        fetchedAt: '2026-10-01T00:00:00Z',
+        repos: [{ name: 'from-snapshot', html_url: 'https://github.com/ada/from-snapshot', stargazers_count: 1, pushed_at: '2026-09-30T00:00:00Z' }]
+    };
+    const apiRequests = [];
+
+    const { page, errors } = await openPage(context, {
+        respond: url => {
+            if (url.pathname.startsWith('/api/github/')) apiRequests.push(url.pathname);
+            if (url.pathname === '/data/resume.json') return { contentType: 'application/json', body: JSON.stringify(resume) };
+            if (url.pathname === '/data/github-repos.json') return { contentType: 'application/json', body: JSON.stringify(snapshot) };
+            return url.pathname === '/' && {
+                contentType: 'text/html',
+                body: INDEX_HTML.replace('data-github hidden', 'data-github data-github-api="/api/github" hidden')
+            };
+        }
+    });
+    await page.waitForSelector('.repo-card');
+
+    assert.deepEqual(await getRepoNames(page), ['from-snapshot']);
+    assert.deepEqual(apiRequests, []);
+    assert.deepEqual(errors, []);
+});
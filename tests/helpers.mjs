@@ -0,0 +1,217 @@
+/* ========================================
+   BROWSER TEST HELPERS
+   Local Server, Headless Chrome & Pages
+======================================== */
+
+// Every test file starts dev/server.mjs on a free port and one headless Chrome.
+// Pages only reach that server: remote fonts and images are blocked,
+// so the suite runs the same on a machine without network access.
+
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { createServer } from 'node:net';
+import { resolve } from 'node:path';
+import { after, afterEach, before } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SERVER_START_TIMEOUT_MS = 10000;
+const AXE_SOURCE = createRequire(import.meta.url).resolve('axe-core/axe.min.js');
+
+export const DESKTOP = { width: 1280, height: 800 };
+export const MOBILE = { width: 375, height: 740, isMobile: true, hasTouch: true };
+
+// Shared server and browser for the tests in one file;
+// each page gets its own browser context, so storage never leaks between tests
+export function useBrowser() {
+    const context = { browserContexts: [] };
+
+    before(async () => {
+        context.server = await startServer();
+        context.browser = await puppeteer.launch({
+            headless: true,
+            // Chrome's sandbox refuses to start as root, which is common in containers and CI
+            args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+        });
+    });
+
+    afterEach(async () => {
+        await Promise.all(context.browserContexts.splice(0).map(browserContext => browserContext.close()));
+    });
+
+    after(async () => {
+        if (context.browser) await context.browser.close();
+        if (context.server) await context.server.stop();
+    });
+
+    return context;
+}
+
+async function getFreePort() {
+    return new Promise((resolvePort, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolvePort(port));
+        });
+    });
+}
+
+async function startServer() {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, ['dev/server.mjs'], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((ready, fail) => {
+        const timer = setTimeout(() => fail(new Error("dev/server.mjs did not start")), SERVER_START_TIMEOUT_MS);
+        child.once('exit', code => fail(new Error(`dev/server.mjs exited with code ${code}`)));
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('running at')) {
+                clearTimeout(timer);
+                ready();
+            }
+        });
+    });
+
+    return {
+        url: `http://localhost:${port}/`,
+        stop: () => new Promise(done => {
+            child.once('exit', done);
+            child.kill();
+        })
+    };
+}
+
+// Open the site and wait for the "rendered" event: the data-driven sections are in place.
+//   viewport     DESKTOP (default) or MOBILE
+//   media        emulated media features, e.g. [{ name: 'prefers-reduced-motion', value: 'reduce' }]
+//   storage      localStorage entries set before any script runs
+//   beforeLoad   function evaluated in the page before any script runs
+//   respond      (url) => { contentType, body, status, headers } to answer a local request with a fixture
+//   waitForApp   false when init is expected to fail
+export async function openPage(context, options = {}) {
+    const { server, browser } = context;
+    const browserContext = await browser.createBrowserContext();
+    const page = await browserContext.newPage();
+    const errors = [];
+    context.browserContexts.push(browserContext);
+
+    page.on('pageerror', error => errors.push(error.message));
+    page.on('console', message => {
+        // Blocked remote resources are expected; everything else logged as an error is a failure
+        if (message.type() === 'error' && !message.text().startsWith('Failed to load resource')) {
+            errors.push(message.text());
+        }
+    });
+
+    await page.setViewport(options.viewport || DESKTOP);
+    await page.setBypassServiceWorker(true);
+    const media = { 'prefers-color-scheme': 'light', 'prefers-reduced-motion': 'no-preference' };
+    (options.media || []).forEach(({ name, value }) => { media[name] = value; });
+    await page.emulateMediaFeatures(Object.entries(media).map(([name, value]) => ({ name, value })));
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        const url = request.url();
+        if (!url.startsWith(server.url)) {
+            request.abort('blockedbyclient');
+            return;
+        }
+
+        const fixture = options.respond && options.respond(new URL(url));
+        if (fixture) {
+            request.respond({
+                status: fixture.status || 200,
+                headers: fixture.headers,
+                contentType: fixture.contentType,
+                body: fixture.body
+            });
+        } else {
+            request.continue();
+        }
+    });
+
+    await page.evaluateOnNewDocument((storage) => {
+        document.addEventListener('portfolio:rendered', () => {
+            window.__portfolioRendered = true;
+        });
+
+        // Only on the first load, so reloads see what the page itself stored
+        if (location.protocol.startsWith('http') && !sessionStorage.getItem('test-storage-applied')) {
+            sessionStorage.setItem('test-storage-applied', 'true');
+            Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, value));
+        }
+    }, { 'analytics-consent': 'denied', ...options.storage });
+
+    if (options.beforeLoad) {
+        await page.evaluateOnNewDocument(options.beforeLoad);
+    }
+
+    await page.goto(new URL(options.path || '', server.url).href, { waitUntil: 'load' });
+    if (options.waitForApp !== false) {
+        await page.waitForFunction(() => window.__portfolioRendered === true);
+    }
+
+    return { page, errors };
+}
+
+// Resolves once window.scrollY has not changed for a few frames
+export async function waitForScrollEnd(page) {
+    await page.evaluate(() => new Promise(done => {
+        let last = window.scrollY;
+        let stableFrames = 0;
+
+        function check() {
+            stableFrames = window.scrollY === last ? stableFrames + 1 : 0;
+            last = window.scrollY;
+            if (stableFrames >= 10) {
+                done();
+            } else {
+                requestAnimationFrame(check);
+            }
+        }
+        requestAnimationFrame(check);
+    }));
+}
+
+// Scroll to the bottom a viewport at a time, so every section and lazy image is revealed
+export async function scrollThroughPage(page) {
+    await page.evaluate(async () => {
+        const step = window.innerHeight / 2;
+        for (let top = 0; top < document.documentElement.scrollHeight; top += step) {
+            window.scrollTo({ top, behavior: 'instant' });
+            await new Promise(done => setTimeout(done, 50));
+        }
+        window.scrollTo({ top: 0, behavior: 'instant' });
+    });
+}
+
+// Run axe-core on the page and return its violations
+export async function runAxe(page, options = {}) {
+    await page.addScriptTag({ path: AXE_SOURCE });
+
+    return page.evaluate(async (axeOptions) => {
+        const results = await window.axe.run(document, axeOptions);
+        return results.violations.map(violation => ({
+            id: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            targets: violation.nodes.map(node => node.target.join(' '))
+        }));
+    }, {
+        runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+        ...options
+    });
+}
+
+// Readable assertion message for a list of axe violations
+export function formatViolations(violations) {
+    return violations
+        .map(violation => `${violation.id} (${violation.impact}): ${violation.help}\n    ${violation.targets.join('\n    ')}`)
+        .join('\n');
+}
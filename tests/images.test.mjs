@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { openPage, scrollThroughPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const INDEX_HTML = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+// A lazy image at the very top of the page, so it loads before the images plugin looks at it
+const withCachedImage = url => url.pathname === '/' && {
+    contentType: 'text/html',
+    body: INDEX_HTML.replace('<main id="main-content">', '<main id="main-content"><img id="test-image" src="GitHub_Logo_White.png" loading="lazy" alt="" width="100" height="41">')
+};
+
+const getHiddenLazyImages = page => page.$$eval('img[loading="lazy"]', images => images
+    .filter(image => image.complete && getComputedStyle(image).opacity !== '1')
+    .map(image => image.currentSrc || image.src));
+
+test('a lazy image that finished loading before the page script ran stays visible', async () => {
+    const { page, errors } = await openPage(context, { respond: withCachedImage });
+    await page.reload({ waitUntil: 'load' });
+    await page.waitForFunction(() => window.__portfolioRendered === true);
+
+    assert.equal(await page.$eval('#test-image', image => image.complete), true);
+    assert.equal(await page.$eval('#test-image', image => getComputedStyle(image).opacity), '1');
+    assert.deepEqual(errors, []);
+});
+
+test('every lazy image is visible once it has been scrolled into view', async () => {
+    const { page } = await openPage(context, { media: [{ name: 'prefers-reduced-motion', value: 'reduce' }] });
+
+    await scrollThroughPage(page);
+    await page.waitForNetworkIdle({ idleTime: 300 });
+
+    assert.deepEqual(await getHiddenLazyImages(page), []);
+});
+
+test('generated images offer AVIF and WebP with a blurred placeholder', async () => {
+    const { page } = await openPage(context);
+
+    const about = await page.$eval('picture[data-image="images/photo.jpg"]', picture => ({
+        types: Array.from(picture.querySelectorAll('source')).map(source => source.type),
+        placeholder: picture.querySelector('img').style.backgroundImage.startsWith('url("data:image/')
+    }));
+    assert.deepEqual(about, { types: ['image/avif', 'image/webp'], placeholder: true });
+
+    const projectTypes = await page.$$eval('.project-card picture', pictures => pictures
+        .filter(picture => picture.querySelector('img').getAttribute('src').startsWith('images/'))
+        .map(picture => Array.from(picture.querySelectorAll('source')).map(source => source.type)));
+    assert.ok(projectTypes.length > 0, 'no project card uses a local image');
+    projectTypes.forEach(types => assert.deepEqual(types, ['image/avif', 'image/webp']));
+});
+
+test('only the images above the fold are preloaded', async () => {
+    // Tall enough that the about photo starts inside the first screen
+    const { page } = await openPage(context, { viewport: { width: 1280, height: 3000 } });
+
+    const preloads = await page.$$eval('link[rel="preload"][as="image"]', links => links.map(link => ({
+        type: link.type,
+        srcset: link.getAttribute('imagesrcset') || link.href
+    })));
+    const photo = preloads.find(preload => preload.srcset.includes('photo.'));
+    assert.ok(photo, 'the about photo was not preloaded');
+    assert.equal(photo.type, 'image/avif');
+
+    const belowTheFold = await page.$$eval('img', images => images
+        .filter(image => image.getBoundingClientRect().top >= window.innerHeight && image.getAttribute('fetchpriority') === 'high')
+        .map(image => image.src));
+    assert.deepEqual(belowTheFold, []);
+});
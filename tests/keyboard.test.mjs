@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const getTheme = page => page.$eval('html', html => html.dataset.theme);
+
+test('"g" then a letter goes to that section', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.keyboard.press('g');
+    await page.keyboard.press('w');
+
+    assert.equal(await page.evaluate(() => window.location.hash), '#work');
+    assert.deepEqual(errors, []);
+});
+
+test('a single-key shortcut right after "g" still runs', async () => {
+    const { page, errors } = await openPage(context);
+    assert.equal(await getTheme(page), 'light');
+
+    await page.keyboard.press('g');
+    await page.keyboard.press('t');
+    assert.equal(await getTheme(page), 'dark');
+
+    // The "g" was used up: the next key starts afresh
+    await page.keyboard.press('w');
+    assert.equal(await page.evaluate(() => window.location.hash), '');
+    assert.deepEqual(errors, []);
+});
+
+test('keys typed into a field are left to the field', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.click('#contact-name');
+    await page.keyboard.type('gt?');
+
+    assert.equal(await page.$eval('#contact-name', input => input.value), 'gt?');
+    assert.equal(await getTheme(page), 'light');
+    assert.equal(await page.$eval('#shortcuts-dialog', dialog => dialog.hidden), true);
+    assert.deepEqual(errors, []);
+});
+
+test('single-key shortcuts can be turned off from the help dialog, and stay off', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.keyboard.press('?');
+    await page.waitForSelector('#shortcuts-dialog:not([hidden])');
+    assert.ok(await page.$$eval('.shortcuts-row', rows => rows.length) > 0);
+
+    await page.click('#shortcuts-enabled');
+    await page.keyboard.press('Escape');
+    await page.waitForSelector('#shortcuts-dialog[hidden]');
+    assert.equal(await page.evaluate(() => localStorage.getItem('shortcuts')), 'off');
+
+    await page.keyboard.press('t');
+    assert.equal(await getTheme(page), 'light');
+
+    await page.reload({ waitUntil: 'load' });
+    await page.waitForFunction(() => window.__portfolioRendered === true);
+    await page.keyboard.press('t');
+    assert.equal(await getTheme(page), 'light');
+    assert.deepEqual(errors, []);
+});
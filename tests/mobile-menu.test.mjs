@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MOBILE, openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const getMenuState = page => page.evaluate(() => {
+    const menu = document.getElementById('mobile-menu');
+    const button = document.getElementById('hamburger-btn');
+    return {
+        open: menu.classList.contains('is-open'),
+        expanded: button.getAttribute('aria-expanded'),
+        hidden: menu.getAttribute('aria-hidden'),
+        focusInMenu: menu.contains(document.activeElement),
+        focusOnButton: document.activeElement === button
+    };
+});
+
+async function openMenu() {
+    const { page, errors } = await openPage(context, { viewport: MOBILE });
+    await page.click('#hamburger-btn');
+    await page.waitForFunction(() => document.getElementById('mobile-menu').contains(document.activeElement));
+    return { page, errors };
+}
+
+test('the hamburger opens the menu and moves focus into it', async () => {
+    const { page, errors } = await openMenu();
+
+    assert.deepEqual(await getMenuState(page), {
+        open: true,
+        expanded: 'true',
+        hidden: 'false',
+        focusInMenu: true,
+        focusOnButton: false
+    });
+    assert.deepEqual(errors, []);
+});
+
+test('Tab and Shift+Tab stay inside the open menu', async () => {
+    const { page } = await openMenu();
+    const focusableCount = await page.$$eval('#mobile-menu a, #mobile-menu select', elements => elements.length);
+
+    for (let i = 0; i <= focusableCount; i++) {
+        await page.keyboard.press('Tab');
+        assert.equal((await getMenuState(page)).focusInMenu, true, `focus left the menu after ${i + 1} Tab presses`);
+    }
+
+    for (let i = 0; i <= focusableCount; i++) {
+        await page.keyboard.down('Shift');
+        await page.keyboard.press('Tab');
+        await page.keyboard.up('Shift');
+        assert.equal((await getMenuState(page)).focusInMenu, true, `focus left the menu after ${i + 1} Shift+Tab presses`);
+    }
+});
+
+test('Escape closes the menu and returns focus to the hamburger', async () => {
+    const { page } = await openMenu();
+
+    await page.keyboard.press('Escape');
+
+    assert.deepEqual(await getMenuState(page), {
+        open: false,
+        expanded: 'false',
+        hidden: 'true',
+        focusInMenu: false,
+        focusOnButton: true
+    });
+});
+
+test('following a link closes the menu and scrolls to the section', async () => {
+    const { page } = await openMenu();
+
+    await page.click('#mobile-menu a[href="#contact"]');
+    await page.waitForFunction(() => location.hash === '#contact');
+
+    assert.equal((await getMenuState(page)).open, false);
+});
+
+test('the page behind the open menu is inert and does not scroll away', async () => {
+    const { page, errors } = await openPage(context, { viewport: MOBILE });
+    await page.evaluate(() => window.scrollTo({ top: 600, behavior: 'instant' }));
+
+    await page.click('#hamburger-btn');
+    assert.deepEqual(await page.evaluate(() => ({
+        main: document.getElementById('main-content').inert,
+        nav: document.querySelector('.global-nav').inert,
+        menu: document.getElementById('mobile-menu').inert,
+        top: document.body.style.top
+    })), { main: true, nav: true, menu: false, top: '-600px' });
+
+    await page.keyboard.press('Escape');
+    assert.deepEqual(await page.evaluate(() => ({
+        main: document.getElementById('main-content').inert,
+        inert: document.querySelectorAll('[inert]').length,
+        scrollY: window.scrollY
+    })), { main: false, inert: 0, scrollY: 600 });
+    assert.deepEqual(errors, []);
+});
+
+// Move a finger in steps, like a real drag; `pause` holds it still before lifting
+async function swipe(page, from, to, { steps = 8, interval = 16, pause = 0 } = {}) {
+    const touch = await page.touchscreen.touchStart(from, 300);
+    for (let step = 1; step <= steps; step++) {
+        await new Promise(done => setTimeout(done, interval));
+        await touch.move(from + ((to - from) * step) / steps, 300);
+    }
+    await new Promise(done => setTimeout(done, pause));
+    await touch.end();
+}
+
+const isMenuOpen = page => page.$eval('#mobile-menu', menu => menu.classList.contains('is-open'));
+
+test('a swipe in from the edge opens the drawer and dragging it back closes it', async () => {
+    const { page, errors } = await openPage(context, { viewport: MOBILE });
+
+    await swipe(page, MOBILE.width - 5, 100, { pause: 150 });
+    assert.equal(await isMenuOpen(page), true);
+    assert.equal(await page.$eval('#main-content', main => main.inert), true);
+
+    // Let go before halfway, slowly: it snaps back open
+    await swipe(page, 150, 220, { pause: 150 });
+    assert.equal(await isMenuOpen(page), true);
+
+    // Dragged past halfway: closed
+    await swipe(page, 100, MOBILE.width, { pause: 150 });
+    assert.equal(await isMenuOpen(page), false);
+    assert.equal(await page.$eval('#main-content', main => main.inert), false);
+    assert.deepEqual(errors, []);
+});
+
+test('a quick flick closes the drawer however short it is', async () => {
+    const { page, errors } = await openMenu();
+
+    await swipe(page, 100, 240, { steps: 2, interval: 10 });
+    assert.equal(await isMenuOpen(page), false);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MOBILE, openPage, scrollThroughPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+for (const locale of ['en', 'ar']) {
+    test(`the page loads and scrolls without errors (${locale})`, async () => {
+        const { page, errors } = await openPage(context, { storage: { locale } });
+
+        await scrollThroughPage(page);
+
+        assert.equal(await page.evaluate(() => document.documentElement.lang), locale);
+        assert.deepEqual(errors, []);
+    });
+}
+
+test('opening and closing the mobile menu logs no errors', async () => {
+    const { page, errors } = await openPage(context, { viewport: MOBILE });
+
+    await page.click('#hamburger-btn');
+    await page.keyboard.press('Escape');
+
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// aria-hidden changes at once; hidden waits for the closing transition
+const isPaletteOpen = page => page.$eval('#command-palette', palette => palette.getAttribute('aria-hidden') !== 'true');
+
+const getResults = page => page.$$eval('#command-palette-list [role="option"]', options => options
+    .map(option => option.querySelector('.command-option-label').textContent));
+
+const getActive = page => page.evaluate(() => {
+    const input = document.querySelector('.command-palette-input');
+    const id = input.getAttribute('aria-activedescendant');
+    const selected = document.querySelector('#command-palette-list [aria-selected="true"]');
+    return { id, selected: selected ? selected.id : null };
+});
+
+async function openWithShortcut(page) {
+    await page.keyboard.down('Control');
+    await page.keyboard.press('k');
+    await page.keyboard.up('Control');
+    await page.waitForSelector('#command-palette:not([hidden])');
+}
+
+test('Ctrl+K opens the palette with the search field focused, and toggles it closed', async () => {
+    const { page, errors } = await openPage(context);
+
+    await openWithShortcut(page);
+    assert.equal(await page.evaluate(() => document.activeElement.className), 'command-palette-input');
+    assert.ok((await getResults(page)).length > 0);
+
+    await page.keyboard.down('Control');
+    await page.keyboard.press('k');
+    await page.keyboard.up('Control');
+    assert.equal(await isPaletteOpen(page), false);
+    assert.deepEqual(errors, []);
+});
+
+test('"/" opens the palette, but not while typing in a field', async () => {
+    const { page, errors } = await openPage(context);
+
+    await page.click('#contact-name');
+    await page.keyboard.type('a/b');
+    assert.equal(await page.$eval('#contact-name', input => input.value), 'a/b');
+    assert.equal(await isPaletteOpen(page), false);
+
+    await page.$eval('#contact-name', input => input.blur());
+    await page.keyboard.press('/');
+    await page.waitForSelector('#command-palette:not([hidden])');
+    assert.deepEqual(errors, []);
+});
+
+test('fuzzy matches rank word starts and runs first, and the shortest label wins a tie', async () => {
+    const { page, errors } = await openPage(context);
+    await openWithShortcut(page);
+
+    await page.keyboard.type('work');
+    assert.equal((await getResults(page))[0], 'Work');
+    assert.equal(await page.$eval('#command-palette-list [role="option"] mark', mark => mark.textContent), 'Work');
+
+    // Characters in order, not next to each other
+    await page.$eval('.command-palette-input', input => { input.value = ''; });
+    await page.keyboard.type('xpnc');
+    assert.equal((await getResults(page))[0], 'Experience');
+
+    await page.$eval('.command-palette-input', input => { input.value = ''; });
+    await page.keyboard.type('zzqx');
+    assert.deepEqual(await getResults(page), []);
+    assert.equal(await page.$eval('.command-palette-empty', empty => empty.hidden), false);
+    assert.deepEqual(errors, []);
+});
+
+test('arrow keys move the active option, announced through aria-activedescendant', async () => {
+    const { page, errors } = await openPage(context);
+    await openWithShortcut(page);
+
+    assert.deepEqual(await getActive(page), { id: 'command-option-0', selected: 'command-option-0' });
+
+    await page.keyboard.press('ArrowDown');
+    await page.keyboard.press('ArrowDown');
+    assert.deepEqual(await getActive(page), { id: 'command-option-2', selected: 'command-option-2' });
+
+    await page.keyboard.press('ArrowUp');
+    assert.deepEqual(await getActive(page), { id: 'command-option-1', selected: 'command-option-1' });
+
+    // Up from the first option wraps to the last
+    const count = (await getResults(page)).length;
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    assert.equal((await getActive(page)).id, `command-option-${count - 1}`);
+    assert.deepEqual(errors, []);
+});
+
+test('Enter runs the active command and closes the palette', async () => {
+    const { page, errors } = await openPage(context);
+    await openWithShortcut(page);
+
+    await page.keyboard.type('skills');
+    assert.equal((await getResults(page))[0], 'Skills');
+    await page.keyboard.press('Enter');
+
+    assert.equal(await isPaletteOpen(page), false);
+    assert.equal(await page.evaluate(() => window.location.hash), '#skills');
+    assert.deepEqual(errors, []);
+});
+
+test('clicking a command runs it too', async () => {
+    const { page, errors } = await openPage(context);
+    await openWithShortcut(page);
+
+    await page.keyboard.type('dark mode');
+    await page.click('#command-option-0');
+
+    assert.equal(await isPaletteOpen(page), false);
+    assert.equal(await page.$eval('html', html => html.dataset.theme), 'dark');
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+// Keep every "track" event, whether or not analytics would send it
+function recordTrackEvents() {
+    window.__trackEvents = [];
+    document.addEventListener('portfolio:track', e => window.__trackEvents.push(e.detail));
+}
+
+test('?debug=perf shows the Web Vitals and the timing of the about photo', async () => {
+    const { page, errors } = await openPage(context, { path: '?debug=perf' });
+
+    await page.waitForSelector('.perf-overlay');
+    await page.waitForFunction(() => {
+        const values = Array.from(document.querySelectorAll('.perf-overlay-metrics dt'))
+            .map(term => [term.textContent, term.nextElementSibling]);
+        return ['LCP', 'TTFB'].every(name => {
+            const [, value] = values.find(([term]) => term === name) || [];
+            return value && value.dataset.rating;
+        });
+    });
+
+    // The photo is timed once it has loaded, wherever it is on the page
+    await page.$eval('#about', section => section.scrollIntoView());
+    await page.waitForFunction(() => /img\.about-image: done at \d+ ms/.test(document.querySelector('.perf-overlay-images').textContent));
+
+    await page.click('.perf-overlay-close');
+    assert.equal(await page.$('.perf-overlay'), null);
+    assert.deepEqual(errors, []);
+});
+
+test('without the debug parameter there is no overlay', async () => {
+    const { page, errors } = await openPage(context);
+
+    assert.equal(await page.$('.perf-overlay'), null);
+    assert.deepEqual(errors, []);
+});
+
+test('reports the vitals with the element responsible when the page is hidden', async () => {
+    const { page, errors } = await openPage(context, { beforeLoad: recordTrackEvents });
+
+    // An interaction, so INP has something to measure
+    await page.click('#themeToggle');
+    await page.evaluate(() => new Promise(done => setTimeout(done, 200)));
+    await page.evaluate(() => window.dispatchEvent(new Event('pagehide')));
+
+    const vitals = await page.evaluate(() => window.__trackEvents
+        .filter(event => event.name === 'web_vitals')
+        .map(event => ({ ...event.parameters, beacon: event.options.beacon })));
+    const byName = Object.fromEntries(vitals.map(metric => [metric.metric_name, metric]));
+
+    assert.ok(byName.LCP, JSON.stringify(vitals));
+    assert.ok(byName.LCP.metric_element, 'LCP has no element');
+    assert.ok(['good', 'needs-improvement', 'poor'].includes(byName.LCP.metric_rating));
+    assert.ok(byName.TTFB, JSON.stringify(vitals));
+    assert.ok(byName.CLS, JSON.stringify(vitals));
+    assert.ok(vitals.every(metric => metric.beacon === true));
+
+    // Unchanged values are not sent twice
+    const sent = vitals.length;
+    await page.evaluate(() => window.dispatchEvent(new Event('pagehide')));
+    assert.equal(await page.evaluate(() => window.__trackEvents.filter(event => event.name === 'web_vitals').length), sent);
+    assert.deepEqual(errors, []);
+});
+
+test('without performance.interactionCount, INP still skips one in every 50 interactions as an outlier', async () => {
+    const { page, errors } = await openPage(context, {
+        beforeLoad: () => {
+            window.__trackEvents = [];
+            document.addEventListener('portfolio:track', e => window.__trackEvents.push(e.detail));
+
+            Object.defineProperty(performance, 'interactionCount', { value: undefined });
+
+            // Keep the "event" observer's callback, to hand it interactions directly
+            const NativeObserver = PerformanceObserver;
+            window.PerformanceObserver = class extends NativeObserver {
+                constructor(callback) {
+                    super(callback);
+                    this.callback = callback;
+                }
+
+                observe(options) {
+                    if (options.type === 'event') window.__eventCallback = this.callback;
+                    super.observe(options);
+                }
+            };
+            window.PerformanceObserver.supportedEntryTypes = NativeObserver.supportedEntryTypes;
+        }
+    });
+
+    // 100 interactions from 100ms to 199ms: the third slowest is the 98th percentile
+    await page.evaluate(() => {
+        const target = document.getElementById('themeToggle');
+        const entries = Array.from({ length: 100 }, (_, index) => ({
+            interactionId: index + 1,
+            duration: 100 + index,
+            name: 'click',
+            target
+        }));
+        // In two batches, so the first is pruned to the slowest few before the second arrives
+        window.__eventCallback({ getEntries: () => entries.slice(0, 60) });
+        window.__eventCallback({ getEntries: () => entries.slice(60) });
+        window.dispatchEvent(new Event('pagehide'));
+    });
+
+    const inp = await page.evaluate(() => window.__trackEvents
+        .find(event => event.name === 'web_vitals' && event.parameters.metric_name === 'INP'));
+    assert.equal(inp.parameters.metric_value, 197);
+    assert.deepEqual(errors, []);
+});
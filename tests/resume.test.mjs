@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const RESUME = JSON.parse(readFileSync(new URL('../data/resume.json', import.meta.url), 'utf8'));
+
+test('the vCard still downloads when the optional name and profile networks are missing', async () => {
+    const resume = structuredClone(RESUME);
+    delete resume.basics.name;
+    resume.basics.profiles = [
+        { url: 'https://example.org/ada' },
+        { network: 'GitHub', username: 'ada', url: 'https://github.com/ada' }
+    ];
+
+    const { page, errors } = await openPage(context, {
+        respond: url => url.pathname === '/data/resume.json' && { contentType: 'application/json', body: JSON.stringify(resume) },
+        beforeLoad: () => {
+            // Keep the file the download is made from, and stay on the page
+            window.__downloads = [];
+            const createObjectURL = URL.createObjectURL;
+            URL.createObjectURL = blob => {
+                window.__downloads.push(blob);
+                return createObjectURL(blob);
+            };
+            HTMLAnchorElement.prototype.click = function () {
+                window.__downloadName = this.download;
+            };
+        }
+    });
+
+    await page.evaluate(async () => {
+        const { downloadVcard } = await import('./js/resume.js');
+        await downloadVcard();
+    });
+
+    assert.equal(await page.evaluate(() => window.__downloadName), 'contact.vcf');
+    const vcard = await page.evaluate(() => window.__downloads[0].text());
+    assert.match(vcard, /X-SOCIALPROFILE;TYPE=github:https:\/\/github.com\/ada/);
+    assert.doesNotMatch(vcard, /example\.org\/ada/);
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser, waitForScrollEnd } from './helpers.mjs';
+
+const context = useBrowser();
+
+// Where the section starts below the fixed navigation, ignoring its entrance transform
+const getSectionOffset = (page, id) => page.evaluate((sectionId) => {
+    const navHeight = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--nav-height'), 10);
+    let top = 0;
+    for (let node = document.getElementById(sectionId); node; node = node.offsetParent) {
+        top += node.offsetTop;
+    }
+    return { navHeight, offset: top - window.scrollY };
+}, id);
+
+for (const motion of ['no-preference', 'reduce']) {
+    test(`nav links scroll the section to just below the navigation (reduced motion: ${motion})`, async () => {
+        const { page, errors } = await openPage(context, {
+            media: [{ name: 'prefers-reduced-motion', value: motion }]
+        });
+
+        for (const id of ['work', 'skills', 'about']) {
+            await page.click(`.nav-menu-desktop a[href="#${id}"]`);
+            await waitForScrollEnd(page);
+
+            const { navHeight, offset } = await getSectionOffset(page, id);
+            assert.ok(Math.abs(offset - navHeight) <= 2, `#${id} starts ${offset}px from the top, expected ${navHeight}px`);
+            assert.equal(await page.evaluate(() => location.hash), `#${id}`);
+        }
+        assert.deepEqual(errors, []);
+    });
+}
+
+test('opening the page with a hash lands on the section below the navigation', async () => {
+    const { page } = await openPage(context, { path: '#skills' });
+    await waitForScrollEnd(page);
+
+    const { navHeight, offset } = await getSectionOffset(page, 'skills');
+    assert.ok(Math.abs(offset - navHeight) <= 2, `#skills starts ${offset}px from the top, expected ${navHeight}px`);
+});
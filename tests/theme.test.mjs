@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser } from './helpers.mjs';
+
+const context = useBrowser();
+
+const getTheme = page => page.evaluate(() => ({
+    theme: document.documentElement.dataset.theme,
+    mode: document.documentElement.dataset.themeMode,
+    stored: localStorage.getItem('theme'),
+    meta: document.querySelector('meta[name="theme-color"]').content
+}));
+
+test('follows the system color scheme until a theme is chosen', async () => {
+    const { page } = await openPage(context, { media: [{ name: 'prefers-color-scheme', value: 'dark' }] });
+
+    assert.deepEqual(await getTheme(page), { theme: 'dark', mode: 'system', stored: null, meta: '#000000' });
+});
+
+test('the toggle switches the theme and the choice survives a reload', async () => {
+    const { page, errors } = await openPage(context);
+    assert.equal((await getTheme(page)).theme, 'light');
+
+    await page.click('#themeToggle');
+    assert.deepEqual(await getTheme(page), { theme: 'dark', mode: 'dark', stored: 'dark', meta: '#000000' });
+
+    await page.reload({ waitUntil: 'load' });
+    assert.deepEqual(await getTheme(page), { theme: 'dark', mode: 'dark', stored: 'dark', meta: '#000000' });
+    assert.deepEqual(errors, []);
+});
+
+test('the pre-paint script applies a saved theme before the modules run', async () => {
+    const { page } = await openPage(context, {
+        storage: { theme: 'high-contrast' },
+        // The document turns interactive right before deferred scripts run
+        beforeLoad: () => {
+            document.addEventListener('readystatechange', () => {
+                if (document.readyState === 'interactive') {
+                    window.__themeBeforeApp = document.documentElement.dataset.theme;
+                }
+            });
+        }
+    });
+
+    assert.equal(await page.evaluate(() => window.__themeBeforeApp), 'high-contrast');
+    assert.equal((await getTheme(page)).theme, 'high-contrast');
+});
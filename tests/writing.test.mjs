@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { openPage, useBrowser, waitForScrollEnd } from './helpers.mjs';
+
+const context = useBrowser();
+
+const getView = page => page.evaluate(() => {
+    const view = document.querySelector('[data-writing="post"]');
+    const title = view.querySelector('.post-title');
+    return {
+        listHidden: document.querySelector('[data-writing="list"]').hidden,
+        postHidden: view.hidden,
+        title: title ? title.textContent : null,
+        focused: document.activeElement === title
+    };
+});
+
+test('lists the posts newest first with their date and reading time', async () => {
+    const { page, errors } = await openPage(context);
+
+    const posts = await page.$$eval('.post-item', items => items.map(item => ({
+        href: item.querySelector('.post-item-link').getAttribute('href'),
+        date: item.querySelector('time').dateTime,
+        readingTime: item.querySelector('.post-reading-time').textContent
+    })));
+
+    assert.ok(posts.length > 0, 'no posts were listed');
+    posts.forEach(post => {
+        assert.match(post.href, /^#writing\/[a-z0-9-]+$/);
+        assert.match(post.readingTime, /^\d+ min read$/);
+    });
+    assert.deepEqual(posts.map(post => post.date), posts.map(post => post.date).sort().reverse());
+    assert.deepEqual(errors, []);
+});
+
+test('a post opens on its own route with highlighted code, and back returns to the list', async () => {
+    const { page, errors } = await openPage(context);
+    const href = await page.$eval('.post-item-link', link => link.getAttribute('href'));
+    const title = await page.$eval('.post-item-link', link => link.textContent);
+
+    await page.click('.nav-menu-desktop a[href="#writing"]');
+    await waitForScrollEnd(page);
+    await page.click('.post-item-link');
+    await page.waitForSelector('[data-writing="post"]:not([hidden]) .post-body');
+    await waitForScrollEnd(page);
+
+    assert.equal(await page.evaluate(() => location.hash), href);
+    assert.deepEqual(await getView(page), { listHidden: true, postHidden: false, title, focused: true });
+    assert.ok(await page.$('.post-code .hljs-keyword'), 'the code blocks are not highlighted');
+
+    await page.goBack();
+    await page.waitForSelector('[data-writing="list"]:not([hidden])');
+    assert.equal(await page.evaluate(() => location.hash), '#writing');
+
+    assert.deepEqual(await getView(page), { listHidden: false, postHidden: true, title: null, focused: false });
+    assert.equal(await page.evaluate(() => document.activeElement.getAttribute('href')), href);
+    assert.deepEqual(errors, []);
+});
+
+test('opening a post link directly shows the post below the navigation', async () => {
+    const { page: listPage } = await openPage(context);
+    const href = await listPage.$eval('.post-item-link', link => link.getAttribute('href'));
+
+    const { page } = await openPage(context, { path: href });
+    await page.waitForSelector('[data-writing="post"]:not([hidden]) .post-body');
+    await waitForScrollEnd(page);
+
+    // Layout position, ignoring the section's entrance transform
+    const { navHeight, offset } = await page.evaluate(() => {
+        let top = 0;
+        for (let node = document.getElementById('writing'); node; node = node.offsetParent) {
+            top += node.offsetTop;
+        }
+        return {
+            navHeight: parseInt(getComputedStyle(document.documentElement).getPropertyValue('--nav-height'), 10),
+            offset: top - window.scrollY
+        };
+    });
+    assert.ok(Math.abs(offset - navHeight) <= 2, `#writing starts ${offset}px from the top, expected ${navHeight}px`);
+    assert.equal((await getView(page)).postHidden, false);
+});
+
+test('the feed the page links to is served', async () => {
+    const { page, errors } = await openPage(context);
+
+    const href = await page.$eval('link[rel="alternate"][type="application/atom+xml"]', link => link.href);
+    assert.equal(await page.$eval('.writing-feed-link', link => link.href), href);
+
+    const response = await fetch(href);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom"[\s\S]*<entry>/);
+    assert.deepEqual(errors, []);
+});